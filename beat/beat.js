@@ -19,42 +19,74 @@ const BEAT = { 	// Behavioral Event Analytics Transform
 		T: '~',			// Time
 		A: '.',			// Again
 		L: '.',			// Loop
+		M: '@',			// Mark
+		F: ':',			// Form (f=focus, e=edit, s=submit, a=abandon)
+		V: '#',			// View (section exposure)
+		S: '|',			// State (h=hidden, v=visible, b=blur, f=focus, i=idle, a=active)
 	},
 	MAP: {				// Manual mapping (default: automatic)
 		P: {					// Page URL paths
 			'/': 'home', 		// Homepage reserved word (result: !home)
 			'/english/': 'en', 	// Multilingual path example (result: !en)
+			// '/product/:id': 'prod',	// Route pattern example, :param segments kept and * segments dropped (result: !prod=123)
 		},
 		E: {					// Element id or class selectors
 			'#close-button': 'close',	// Close button example (result: *close)
 			'.open-modal': 'm',			// Modal button example (result: *m)
+		},
+		ATT: 'data-beat',		// Element name attribute, nearest ancestor wins (result: *name, '' to disable)
+		FPR: false,				// Stable fingerprint for unmapped elements instead of DOM depth (result: *button-ms-k2d)
+		M: {					// Custom event names for rhythm.mark()
+			'add-to-cart': 'cart',		// Business event example (result: @cart)
 		}
+	},
+	EXP: {				// Watched sections of the EXP addon, exposures fold like clicks (result: #pricing)
+		ATT: 'data-expose',		// Section name attribute (result: #name, '' to disable)
+		MAP: {					// Section selectors
+			'#pricing': 'pricing',		// Pricing table example (result: #pricing)
+		},
+		MIN: 50,				// Visible share of the section, or of the viewport for tall sections (default: 50%)
+		DUR: 1000,				// Continuous visibility before it counts (default: 1000ms)
+	},
+	SCR: {				// Scroll tokens of the SCR addon (result: ^600 window, ^3div1=600 container keyed like elements)
+		PCT: false,		// Depth as percentage of scrollable height, comparable across screens (result: ^42%)
+		TOP: false,		// Max depth reached per page and container, written on leaving the page (result: ^^87%)
+	},
+	RTE: {				// Route normalization of the page path (result: !x3n for /checkout?step=2, !prod=123=2 when mapped)
+		QRY: [],		// Query keys that count as a page change, kept in this order (example: ['step', 'tab'])
+		HSH: false,		// Hash router: #/path and #!/path routes replace the pathname
+	},
+	VIS: {				// Engagement states of the VIS addon, ~N between |h and |v is time away (result: |h~3600|v)
+		IDL: 30000,		// No input for this long marks idle from the last input, 0 to disable (default: 30000ms)
+	},
+	DIC: {				// Precomputed page dictionary (default: empty, generate with: node beat/pages.js sitemap.xml)
+						// Hash tokens with their collision dots, kept stable for every visitor (example: '!x3n': '/about')
 	}
 };
 
 class Beat { // Behavioral Event Analytics Transform
 	constructor(config = {}) {
-		this.config = { timeUnit: BEAT.TIC, ...config };
+		this.config = { timeUnit: BEAT.TIC, clock: Date.now, ...config }; // Injectable clock for replay and simulation
 		this.sequence = [];
-		this.hashTable = {};
-		this.mappings = { pages: { ...BEAT.MAP.P }, elements: { ...BEAT.MAP.E } };
-		this.lastTime = Date.now();
+		this.hashTable = { ...BEAT.DIC }; // Page dictionary seeded with precomputed tokens
+		this.mappings = { pages: { ...BEAT.MAP.P }, elements: { ...BEAT.MAP.E }, marks: { ...BEAT.MAP.M } };
+		this.lastTime = this.config.clock();
+		this.depths = {}; // Deepest resting scroll per container on the current page
+		this.away = null; // Open disengaged state: h, b or i
 	}
-	time() { // Record elapsed time
-		const now = Date.now(), elapsed = Math.floor((now - this.lastTime) / this.config.timeUnit);
+	time(now = this.config.clock()) { // Record elapsed time, up to now
+		const elapsed = Math.floor((now - this.lastTime) / this.config.timeUnit);
 		if (elapsed > 0) {
 			this.sequence.push(BEAT.TOK.T + elapsed);
 			this.lastTime = now;
 		}
 	}
 	page(p) { // Generate and record page hash
+		this.depth(); // Previous page's max scroll depth
 		this.time();
-		if (this.mappings.pages[p]) return void this.sequence.push(BEAT.TOK.P + this.mappings.pages[p]); // Pre-mapped pages applied immediately
-		let hash = 5381; // DJB2 hash algorithm
-		for (let i = 0; i < p.length; i++) hash = ((hash << 5) + hash) + p.charCodeAt(i);
-		const chars = '0123456789abcdefghijklmnopqrstuvwxyz', limit = p.length <= 7 ? 3 : p.length <= 14 ? 4 : 5; // Dynamic hash by URL length
-		let result = '', n = Math.abs(hash);
-		for (let j = 0; j < limit; j++) result += chars[n % 36], n = Math.floor(n / 36); // Base36 encoding
+		const mapped = this.mappings.pages[p] || this.match(p);
+		if (mapped) return void this.sequence.push(BEAT.TOK.P + mapped); // Pre-mapped pages and route patterns applied immediately
+		const result = Beat.hash(p);
 		let token = BEAT.TOK.P + result, dots = ''; // Hash collision handling: add dots(.) in front to ensure uniqueness
 		while (this.hashTable[token] && this.hashTable[token] !== p) dots += BEAT.TOK.L, token = BEAT.TOK.P + dots + result;
 		this.hashTable[token] = p;
@@ -72,17 +104,204 @@ class Beat { // Behavioral Event Analytics Transform
 		}
 		this.sequence.push(n);
 	}
-	element(e) { // Record element clicks - list DOM depth as 3D linear string
-		if (!e || e.nodeType === 3 && !(e = e.parentElement)) return;
-		this.time();
+	key(e) { // Element key - mapped name or DOM depth + tag + index
 		const key = e.id ? '#' + e.id : typeof e.className === 'string' && e.className ? '.' + e.className.trim().split(/\s+/)[0] : null;
-		if (key && this.mappings.elements[key]) return void this.note(BEAT.TOK.E + this.mappings.elements[key]); // Pre-mapped elements applied immediately
+		if (key && this.mappings.elements[key]) return this.mappings.elements[key]; // Pre-mapped elements applied immediately
+		const named = BEAT.MAP.ATT && e.closest?.('[' + BEAT.MAP.ATT + ']')?.getAttribute(BEAT.MAP.ATT); // data-beat="name" on element or ancestor
+		if (named) return Beat.code(named);
+		if (BEAT.MAP.FPR) return this.print(e); // Stable fingerprint mode
 		let depth = 0, el = e; // Calculate DOM depth
 		while (el && el !== document.body) depth++, el = el.parentElement;
 		const tag = e.tagName.toLowerCase();
 		let index = 1, prev = e.previousElementSibling;
 		while (prev) prev.tagName.toLowerCase() === tag && index++, prev = prev.previousElementSibling;
-		this.note(BEAT.TOK.E + depth + tag + index);
+		return depth + tag + index;
+	}
+	element(e) { // Record element clicks - list DOM depth as 3D linear string
+		if (!e || e.nodeType === 3 && !(e = e.parentElement)) return;
+		this.time();
+		this.note(BEAT.TOK.E + this.key(e));
+	}
+	form(action, e) { // Record form field focus (f), edit (e), submit (s) or abandon (a) - never values
+		if (!e) return;
+		this.time();
+		this.note(BEAT.TOK.F + action + this.key(e));
+	}
+	mark(m) { // Record custom event token, repeats fold like elements
+		if (m === undefined || m === null || String(m).trim() === '') return;
+		this.time();
+		this.note(BEAT.TOK.M + (this.mappings.marks[m] || Beat.code(m)));
+	}
+	scroll(e) { // Record resting scroll position of the window (document target) or a scrolling container
+		const win = !e?.tagName || e === document.documentElement || e === document.body;
+		const top = win ? window.scrollY : e.scrollTop, room = win ? document.documentElement.scrollHeight - window.innerHeight : e.scrollHeight - e.clientHeight;
+		const name = win ? '' : this.key(e) + '=', value = BEAT.SCR.PCT ? (room > 0 ? Math.min(100, Math.round(top / room * 100)) : 0) : Math.round(top);
+		this.depths[name] = Math.max(this.depths[name] ?? 0, value);
+		this.time();
+		this.sequence.push('^' + name + value + (BEAT.SCR.PCT ? '%' : ''));
+	}
+	depth() { // Write max depth per container on the page (BEAT.SCR.TOP) and start over, true if written
+		const names = BEAT.SCR.TOP ? Object.keys(this.depths) : [];
+		for (const name of names) this.sequence.push('^^' + name + this.depths[name] + (BEAT.SCR.PCT ? '%' : ''));
+		this.depths = {};
+		return names.length > 0;
+	}
+	view(e) { // Record section exposure, repeats fold like elements
+		const att = BEAT.EXP.ATT && e.getAttribute(BEAT.EXP.ATT), selector = Object.keys(BEAT.EXP.MAP).find(s => e.matches(s));
+		this.time();
+		this.note(BEAT.TOK.V + (att ? Beat.code(att) : selector ? BEAT.EXP.MAP[selector] : this.key(e)));
+	}
+	match(p) { // Mapped name for a path with allowed query (Beat.route): exact, or a /:param/* route pattern, parameters and query values as =value
+		const [path, query = ''] = p.split('?'), have = path.split('/');
+		let name = this.mappings.pages[path], params = [];
+		if (!name) for (const route in this.mappings.pages) { // Patterns in MAP.P order, first match wins
+			const want = route.split('/');
+			if (!/\/[:*]/.test(route) || want.length !== have.length || !want.every((w, i) => w === '*' || w[0] === ':' ? have[i] !== '' : w === have[i])) continue;
+			name = this.mappings.pages[route], params = have.filter((h, i) => want[i][0] === ':');
+			break;
+		}
+		if (!name) return null;
+		const decode = s => { try { return decodeURIComponent(s); } catch { return s; } };
+		return [name, ...params.map(decode), ...new URLSearchParams(query).values()].map((x, i) => i ? Beat.code(x) : x).join('=');
+	}
+	state(s, at) { // Record an engagement transition, redundant ones are dropped, true if written
+		const back = {v: 'h', f: 'b', a: 'i'}[s];
+		if (back ? this.away !== back : s !== 'h' ? this.away : this.away === 'h') return false; // h, b, i leave and v, f, a return, hidden outranks blur and idle
+		this.time(at);
+		if (s === 'h' && this.sequence[this.sequence.length - 1] === BEAT.TOK.S + 'b') this.sequence.pop(); // Blur that hid the tab
+		this.sequence.push(BEAT.TOK.S + s);
+		this.away = back ? null : s;
+		return true;
 	}
 	flow() { return this.sequence.join(''); } // Generate final BEAT string
+	print(e) { // Fingerprint - role + landmark + text length class + nearest id'd ancestor, survives layout changes
+		const marks = {header: 'h', banner: 'h', nav: 'n', navigation: 'n', main: 'm', aside: 'a', complementary: 'a', footer: 'f', contentinfo: 'f', form: 'o', dialog: 'd', search: 's'};
+		let land = '', anchor = '';
+		for (let el = e; el && el !== document.body && !(land && anchor); el = el.parentElement) {
+			land ||= marks[el.getAttribute('role')] || marks[el.tagName.toLowerCase()] || '';
+			if (!anchor && el.id) anchor = Beat.hash('#' + el.id).slice(0, 3); // Hashed, the id itself stays out of the flow
+		}
+		const len = (e.textContent || '').trim().length; // Length class only, text never recorded
+		return Beat.code((e.getAttribute('role') || e.tagName.toLowerCase()).split(' ')[0]) + '-' + land + (len ? len <= 12 ? 's' : len <= 40 ? 'm' : 'l' : '0') + (anchor ? '-' + anchor : '');
+	}
+	static pack(flow) { // Back-reference compression - repeated notes become $id (base36, order of first appearance), lossless
+		const seen = new Map();
+		return flow.replace(Beat.tokens(), t => {
+			if (!seen.has(t)) return seen.set(t, seen.size), t;
+			const ref = '$' + seen.get(t).toString(36);
+			return ref.length < t.length ? ref : t; // Only when shorter
+		});
+	}
+	static unpack(flow) { // Expand $id back-references into the original flow
+		const list = [], seen = new Set();
+		return flow.replace(new RegExp('\\$([0-9a-z]+)|' + Beat.tokens().source, 'g'), (t, id) => {
+			if (id !== undefined) return list[parseInt(id, 36)] ?? t;
+			if (!seen.has(t)) seen.add(t), list.push(t);
+			return t;
+		});
+	}
+	static played(table, flows) { // Dictionary entries of the page tokens in these flows, all a batch needs
+		const tokens = new Set(flows.flatMap(f => Beat.unpack(f).match(Beat.tokens()) || []));
+		return Object.fromEntries(Object.entries(table).filter(([token]) => tokens.has(token)));
+	}
+	static recent(table, path, max) { // Page dictionary with the token of path moved last, only the newest max entries kept
+		const entries = Object.entries(table), at = entries.findIndex(([, p]) => p === path);
+		if (at >= 0) entries.push(...entries.splice(at, 1));
+		return Object.fromEntries(entries.slice(-max));
+	}
+	static tokens() { // Notes that can be referenced - pages, elements, marks, forms, views
+		const T = BEAT.TOK, x = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), stop = x([T.P, T.E, T.T, T.A, T.M, T.F, T.V, T.S, '^', '_', '$'].join(''));
+		return new RegExp('(?:' + x(T.P) + x(T.L) + '*|[' + x(T.E + T.M + T.F + T.V) + '])[^' + stop + ']+', 'g');
+	}
+	static code(m) { // Cookie-safe mark name: only A-Z a-z 0-9 - and %XX escapes, never a BEAT symbol
+		return encodeURIComponent(String(m).trim().replace(/\s+/g, '-')).replace(/[!'()*._~]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+	}
+	static route(loc) { // Location -> page path for page(): pathname or hash route (BEAT.RTE.HSH) plus allowed query keys (BEAT.RTE.QRY)
+		const hash = BEAT.RTE.HSH && /^#!?\//.test(loc.hash || '') ? loc.hash.replace(/^#!?/, '').split('#')[0] : null;
+		const [path, search = ''] = hash ? hash.split('?') : [loc.pathname, (loc.search || '').slice(1)];
+		const query = new URLSearchParams(search), keep = new URLSearchParams();
+		for (const key of BEAT.RTE.QRY) query.has(key) && keep.set(key, query.get(key));
+		return path + (String(keep) ? '?' + keep : '');
+	}
+	static hash(p) { // DJB2 page hash with dynamic length by URL length
+		let hash = 5381; // DJB2 hash algorithm
+		for (let i = 0; i < p.length; i++) hash = ((hash << 5) + hash) + p.charCodeAt(i);
+		const chars = '0123456789abcdefghijklmnopqrstuvwxyz', limit = p.length <= 7 ? 3 : p.length <= 14 ? 4 : 5; // Dynamic hash by URL length
+		let result = '', n = Math.abs(hash);
+		for (let j = 0; j < limit; j++) result += chars[n % 36], n = Math.floor(n / 36); // Base36 encoding
+		return result;
+	}
+	static parse(flow = '') { // Read BEAT string back into typed events (browser and Node), positions refer to the unpacked flow
+		if (flow.includes('$')) flow = Beat.unpack(flow); // Back-referenced flows
+		const TOK = BEAT.TOK, stop = [TOK.P, TOK.E, TOK.T, TOK.A, TOK.M, TOK.F, TOK.V, TOK.S, '^', '_', '$'], events = [], errors = [];
+		let i = 0, at = 0, repeats = null; // Cursor, elapsed ticks, pending fold times
+		const num = () => { const s = i; while (flow[i] >= '0' && flow[i] <= '9') i++; return s < i ? +flow.slice(s, i) : null; };
+		const word = () => { const s = i; while (i < flow.length && !stop.includes(flow[i])) i++; return flow.slice(s, i); };
+		const fail = (pos, message) => { errors.push({pos, message}); while (i < flow.length && !stop.includes(flow[i])) i++; }; // Report and skip to next symbol
+		while (i < flow.length) {
+			const pos = i, c = flow[i++];
+			if (repeats && c !== TOK.A && c !== TOK.E && c !== TOK.M && c !== TOK.F && c !== TOK.V) errors.push({pos: repeats.pos, message: 'Repeat without element'}), repeats = null;
+			if (c === TOK.P) { // Page: !home, !x3n, !..x3n (collision dots)
+				let dots = 0;
+				while (flow[i] === TOK.L) dots++, i++;
+				const [name, ...params] = word().split('='); // Route pattern parameters: !prod=123
+				let values = null;
+				try { values = params.map(decodeURIComponent); } catch {}
+				!name ? fail(pos, 'Empty page name') : !values ? fail(pos, 'Malformed page parameter') : events.push({type: 'page', pos, at, name, collision: dots, params: values});
+			} else if (c === TOK.E) { // Element: *3nav1 (depth + tag + index) or *close (mapped)
+				const name = word(), dom = name.match(/^(\d+)(h[1-6]|[a-z][a-z-]*)(\d+)$/);
+				if (!name) { fail(pos, 'Empty element name'); continue; }
+				events.push({type: 'element', pos, at, name, depth: dom ? +dom[1] : null, tag: dom ? dom[2] : null, index: dom ? +dom[3] : null, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.M) { // Mark: @add-to-cart or @cart (mapped), %XX escaped
+				const code = word();
+				let name = null;
+				try { name = decodeURIComponent(code); } catch {}
+				if (!name) { fail(pos, code ? 'Malformed mark escape' : 'Empty mark name'); repeats = null; continue; }
+				events.push({type: 'mark', pos, at, name, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.F) { // Form: :f5input1 focus, :e edit, :s submit, :a abandon
+				const action = {f: 'focus', e: 'edit', s: 'submit', a: 'abandon'}[flow[i]], name = action ? (i++, word()) : '';
+				if (!name) { fail(pos, action ? 'Empty form field name' : 'Unknown form action'); repeats = null; continue; }
+				const dom = name.match(/^(\d+)(h[1-6]|[a-z][a-z-]*)(\d+)$/);
+				events.push({type: 'form', pos, at, action, name, depth: dom ? +dom[1] : null, tag: dom ? dom[2] : null, index: dom ? +dom[3] : null, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.V) { // View: #pricing section exposure
+				const name = word();
+				if (!name) { fail(pos, 'Empty view name'); repeats = null; continue; }
+				events.push({type: 'view', pos, at, name, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.S) { // State: |h hidden, |v visible, |b blur, |f focus, |i idle, |a active
+				const state = {h: 'hidden', v: 'visible', b: 'blur', f: 'focus', i: 'idle', a: 'active'}[flow[i]];
+				state ? (events.push({type: 'state', pos, at, state, away: 'hbi'.includes(flow[i])}), i++) : fail(pos, 'Unknown state');
+			} else if (c === TOK.T) { // Time: ~300
+				const value = num();
+				value === null ? fail(pos, 'Missing time value') : (events.push({type: 'time', pos, at, value}), at += value);
+			} else if (c === TOK.A) { // Again: ~13.8.8*buy-1 folds repeated clicks
+				const value = num();
+				if (value === null) { fail(pos, 'Missing repeat time'); repeats = null; continue; }
+				repeats ? repeats.times.push(value) : repeats = {pos, times: [value]};
+			} else if (c === '^') { // Scroll: ^600 window, ^42% of scrollable height, ^3div1=600 container, ^^87% max depth on the page
+				const top = flow[i] === '^';
+				top && i++;
+				const raw = word(), m = raw.match(/^(?:(.+)=)?(\d+)(%?)$/);
+				m ? events.push({type: 'scroll', pos, at, value: +m[2], unit: m[3] ? '%' : 'px', target: m[1] || null, top}) : fail(pos, raw ? 'Malformed scroll value' : 'Missing scroll value');
+			} else if (c === '_' && flow.startsWith('__', i)) { // Cross-tab marker: ___2
+				i += 2;
+				const tab = num();
+				tab === null ? fail(pos, 'Missing tab number') : events.push({type: 'tab', pos, at, tab});
+			} else if (c === '$') { // Back-reference left over by unpack(): no earlier note with this id
+				const id = word();
+				fail(pos, id ? 'Unresolved back-reference $' + id : 'Empty back-reference');
+			} else fail(pos, 'Unexpected character ' + JSON.stringify(c));
+		}
+		if (repeats) errors.push({pos: repeats.pos, message: 'Repeat without element'});
+		return {events, errors};
+	}
 }
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { BEAT, Beat }; // Node export
@@ -0,0 +1,38 @@
+/**
+ * BEAT - Page dictionary builder
+ * Copyright (c) 2025 Aidgn
+ * AGPL-3.0-or-later - See LICENSE file for details
+ *
+ * Precomputes the hash tokens Beat.page() would assign, collision dots included,
+ * so every visitor plays the same !x3n for the same path and the backend can
+ * resolve hashes without ever seeing a browser. Reads sitemap.xml files, JSON
+ * arrays or plain route lists (one path per line) and prints the dictionary for
+ * BEAT.DIC as JSON. Every entry goes through Beat.route() first, so the query
+ * keys of BEAT.RTE.QRY and #/ hash routes are kept like in the browser.
+ *
+ * Usage: node beat/pages.js sitemap.xml routes.txt > pages.json
+ */
+
+const fs = require('fs');
+const { BEAT, Beat } = require('./beat.js');
+
+function routes(text) { // Extract paths from sitemap, JSON array or line list
+	const list = /<loc>/.test(text) ? [...text.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/g)].map(m => m[1].replace(/&amp;/g, '&'))
+		: /^\s*\[/.test(text) ? JSON.parse(text) : text.split(/\r?\n/);
+	return list.map(r => r.trim()).filter(Boolean).map(r => Beat.route(new URL(r, 'https://localhost'))); // Relative routes resolve against any origin
+}
+
+function pages(paths) { // Assign tokens in list order, same collision rules as Beat.page()
+	const beat = new Beat();
+	for (const p of paths) if (!beat.mappings.pages[p]) beat.page(p);
+	return beat.hashTable;
+}
+
+if (require.main === module) {
+	const files = process.argv.slice(2);
+	if (!files.length) console.error('Usage: node beat/pages.js <sitemap.xml|routes.txt|routes.json>...'), process.exit(1);
+	const paths = [...new Set(files.flatMap(f => routes(fs.readFileSync(f, 'utf8'))))];
+	process.stdout.write(JSON.stringify(pages(paths), null, '\t') + '\n');
+}
+
+module.exports = { routes, pages };
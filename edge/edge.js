@@ -0,0 +1,218 @@
+/**
+ * EDGE - Reference handler for RHYTHM livestreaming and echo
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * The friend who livestreams the performance. A Fetch API handler that listens
+ * on the RHYTHM path: the HEAD refresh sent by Rhythm.click() carries every
+ * score and rhythm_N cookie, the handler tunes the score digits and answers with
+ * Set-Cookie only when a note actually changed. Echo batches posted by
+ * Rhythm.batch() are split back into sessions and handed to an archive hook.
+ * A solved challenge is posted to the pass path, where an optional challenge
+ * hook must confirm its proof before the bot level goes back to 0 for that score.
+ * Built only on Request, Response and Headers, so it runs the same in Node 18+
+ * as on any edge runtime.
+ *
+ * With a secret the handler also signs what it heard: an HMAC token over the
+ * score key, time, flags and per-session click counters rides along in the
+ * rhythm_sig cookie and in echo batches, so rewritten flags, forged flows and
+ * counters running backwards no longer pass unnoticed.
+ *
+ * Node:    const { handle } = require('./edge/edge.js');
+ *          const res = await handle(new Request('https://site/rhythm/?livestreaming', {method: 'HEAD', headers: {Cookie: cookies}}));
+ * Worker:  export default { fetch: (request, env) => handle(request, { secret: env.RHYTHM_SECRET, challenge: request => turnstile(request, env), archive: sessions => env.QUEUE.send(sessions) }) };
+ */
+
+const { BEAT, Beat } = require('../beat/beat.js');
+const { Score } = require('../score/score.js');
+const { Session } = require('../rhythm/session.js');
+
+const EDGE = { // Edge listening configuration
+	HIT: '/rhythm',		// Session activation and cookie resonance path (same as RHYTHM.HIT)
+	ECO: '/rhythm/echo',// Batch archiving path (same as RHYTHM.ECO)
+	PIN: '/rhythm/ping',// Legacy rhythm.js batch path, still archived
+	PAS: '/rhythm/pass',// Solved challenge path (same as RHYTHM.HIT + '/pass')
+	TIX: 'rhythm_pass',	// Pass ticket cookie, issued only when handle() gets options.secret: score time.expiry.mac over the score key
+	PTL: 3600,			// Pass ticket lifetime (default: 1 hour in seconds)
+	TIC: 100,			// Time unit of session fields (same as RHYTHM.TIC)
+	VPW: [480, 768, 1024, 1440],	// Viewport width bucket bounds of the context field (same as RHYTHM.VPW)
+	REF: {				// Referrer codes for reports, domain: code (same as RHYTHM.REF)
+		'google.com': 3,
+		'youtube.com': 4,
+		'cloudflare.com': 5,
+		'claude.ai': 6,
+		'chatgpt.com': 7,
+		'meta.com': 8,
+	},
+	UTM: {				// Campaign codes for reports (same as RHYTHM.UTM)
+		SRC: {'google': 1, 'newsletter': 2},
+		MED: {'cpc': 1, 'email': 2, 'social': 3},
+		CMP: {},
+		CID: ['gclid', 'fbclid', 'msclkid', 'ttclid'],
+	},
+	BOT: 9,				// Highest bot security level written to score[0]
+	SIG: 'rhythm_sig',	// Integrity token cookie, issued only when handle() gets options.secret
+	BAD: 5,				// Bot level for a broken token, lowered flags or counters running backwards
+	ISS: 'rhythm_issued',	// Score time the last token was issued for, set with it so a token that goes missing afterwards counts as stripped
+};
+
+function cookies(header = '') { // Split Cookie header into name/value pairs
+	const jar = {};
+	for (const pair of header.split(/;\s*/)) {
+		const i = pair.indexOf('=');
+		if (i > 0) jar[pair.slice(0, i)] = pair.slice(i + 1);
+	}
+	return jar;
+}
+
+function session(name, value) { // Convert session string of any schema version to object
+	const s = Session.decode(value, EDGE.TIC);
+	if (!s) return null; // Unreadable or written by a newer build
+	const flow = Beat.unpack(s.flow); // Expand $id back-references
+	return {name, ...s, flow, beat: Beat.parse(flow), env: Session.context(s.context, EDGE.VPW)}; // env: decoded context, null when off
+}
+
+function scan(header) { // Parse score & rhythm cookies
+	const jar = cookies(header), sessions = [];
+	let score = null;
+	if (jar.score) {
+		const [head, tabs = ''] = jar.score.split('___'), [flags, time, key] = head.split('_');
+		score = {raw: jar.score, flags, time: +time, key, tabs: tabs ? tabs.split('~').map(Number) : []};
+	}
+	for (const name in jar) if (/^rhythm_\d+$/.test(name)) {
+		const s = session(name, jar[name]);
+		s && sessions.push(s);
+	}
+	sessions.sort((a, b) => a.name.slice(7) - b.name.slice(7));
+	return {score, sessions, sig: jar[EDGE.SIG] || null, issued: +jar[EDGE.ISS] || null, pass: jar[EDGE.TIX] || null};
+}
+
+function tune(flags, verdict) { // Apply bot level and human flags to score digits
+	const digits = flags.split('');
+	if (verdict.bot) digits[0] = String(Math.min(typeof verdict.bot === 'number' ? Math.max(+digits[0], verdict.bot) : +digits[0] + 1, EDGE.BOT)); // Level or single step up
+	for (const flag of [].concat(verdict.human || [])) if (flag >= 1 && flag < digits.length) digits[flag] = '1'; // Human behavior flags [1-9]
+	return digits.join('');
+}
+
+async function passed(secret, ticket, score) { // Unexpired pass ticket the edge sealed for this score key and time
+	const [time, expiry, code] = (ticket || '').split('.');
+	if (!secret || !score || !code || +time !== score.time || !(+expiry * 1000 > Date.now())) return false;
+	return code === await mac(secret, [score.key, time, expiry, 'pass'].join('_'));
+}
+
+function detect(match, options) { // Built-in bot classifiers and SCORE.HUM rules over live sessions
+	let bot = 0;
+	const reasons = [], human = new Set();
+	for (const s of match.sessions) if (s.echo === 0) {
+		const verdict = Score.classify(s, options.bots);
+		bot = Math.max(bot, verdict.level), reasons.push(...verdict.reasons);
+		for (const flag of Score.human(s, options.rules)) human.add(flag);
+	}
+	return {bot, reasons, human: [...human]};
+}
+
+async function mac(secret, text) { // HMAC-SHA256 as 22 base64url chars (128 bits)
+	const subtle = (globalThis.crypto || require('crypto').webcrypto).subtle, utf8 = new TextEncoder();
+	const key = await subtle.importKey('raw', utf8.encode(secret), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']);
+	const bytes = new Uint8Array(await subtle.sign('HMAC', key, utf8.encode(text)));
+	return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').slice(0, 22);
+}
+
+async function sign(secret, key, time, flags, sessions) { // Integrity token: time.flags.slot-start-clicks~....mac
+	const counters = sessions.filter(s => s.name).map(s => s.name.slice(7) + '-' + s.time + '-' + s.clicks).join('~');
+	return time + '.' + flags + '.' + counters + '.' + await mac(secret, [key, time, flags, counters].join('_'));
+}
+
+async function verify(secret, token, key, sessions, flags, issued) { // Integrity token check -> null when sound, else the reason
+	if (!token) return issued ? 'stripped' : null; // Fresh score or a refresh aborted before its Set-Cookie, unless a token for this score already arrived
+	const [time, signed = '', counters = '', code] = token.split('.');
+	if (!code || code !== await mac(secret, [key, time, signed, counters].join('_'))) return 'signature';
+	if (flags && [...signed].some((d, i) => (flags[i] || '0') < d)) return 'flags'; // Digits only rise outside the edge
+	for (const c of counters ? counters.split('~') : []) {
+		const [slot, start, clicks] = c.split('-'), s = sessions.find(s => s.name === 'rhythm_' + slot && s.time === +start);
+		if (s && s.clicks < +clicks) return 'counter'; // Same session, fewer clicks than already heard
+	}
+	return null;
+}
+
+async function livestream(request, url, options) { // Real-time cookie resonance
+	const match = scan(request.headers.get('Cookie') || '');
+	if (!match.score || !/^\d+$/.test(match.score.flags)) return new Response(null, {status: 204});
+	const verdict = await (options.detect || detect)(match, options, request) || {};
+	let flags = tune(match.score.flags, await passed(options.secret, match.pass, match.score) ? {...verdict, bot: 0} : verdict); // A solved challenge holds the bot level for this score
+	if (options.secret) { // Integrity mode
+		const stale = match.sig && +match.sig.split('.')[0] !== match.score.time; // Token signed for another score
+		if (stale || await verify(options.secret, match.sig, match.score.key, match.sessions, match.score.flags, match.issued === match.score.time)) flags = tune(flags, {bot: EDGE.BAD});
+	}
+	const headers = new Headers(), tail = '; Path=/; SameSite=Lax' + (url.protocol === 'https:' ? '; Secure' : '');
+	if (flags !== match.score.flags) headers.append('Set-Cookie', 'score=' + flags + match.score.raw.slice(match.score.flags.length) + tail); // Unchanged, no Set-Cookie
+	if (options.secret) headers.append('Set-Cookie', EDGE.SIG + '=' + await sign(options.secret, match.score.key, match.score.time, flags, match.sessions) + tail);
+	if (options.secret && match.issued !== match.score.time) headers.append('Set-Cookie', EDGE.ISS + '=' + match.score.time + tail); // Marked in the same response as the token
+	return new Response(null, {status: 204, headers});
+}
+
+function payload(body) { // Echo body -> {sessions, pages, sig}, page hashes resolved to paths
+	const sessions = [];
+	let pages = {}, sig = null;
+	for (const record of body.split(/\n|(?=rhythm_\d+=)/)) { // rhythm_1=2_...rhythm_2=2_... or newline separated
+		const m = record.match(/^(rhythm_\d+|rhythm_pages|rhythm_sig)=(.*)$/);
+		if (m && m[1] === 'rhythm_pages') pages = Object.fromEntries(new URLSearchParams(m[2])); // Page dictionary (token: path)
+		else if (m && m[1] === EDGE.SIG) sig = m[2]; // Integrity token carried by Rhythm.batch()
+		else if (record) {
+			const s = m ? session(m[1], m[2]) : session('', record); // Legacy rhythm.js posted bare strings
+			s && sessions.push(s);
+		}
+	}
+	pages = { ...BEAT.DIC, ...pages };
+	for (const s of sessions) for (const e of s.beat.events) { // Resolve page hashes to paths
+		if (e.type !== 'page') continue;
+		const token = BEAT.TOK.P + BEAT.TOK.L.repeat(e.collision) + e.name;
+		if (pages[token]) e.path = pages[token];
+	}
+	return {sessions, pages, sig};
+}
+
+async function echo(request, options) { // Batch archiving of completed sessions
+	const {sessions, pages, sig} = payload(await request.text());
+	if (options.secret) { // Integrity mode: forged tokens are rejected, unsigned, stale or regressed sessions archived as such
+		const keys = {};
+		for (const s of sessions) (keys[s.key] ||= []).push(s); // Each session is checked against its own key, older slots may carry another
+		let signer = null;
+		for (const key in keys) {
+			const integrity = sig ? await verify(options.secret, sig, key, keys[key]) : 'unsigned';
+			if (integrity === 'signature') continue; // Token of another key, these sessions stay unsigned
+			const stale = sig && !keys[key].some(s => s.time === +sig.split('.')[0]); // Token signed for another score time than these sessions
+			signer = key;
+			for (const s of keys[key]) s.integrity = integrity || (stale ? 'stale' : 'signed');
+		}
+		if (sig && sessions.length && signer === null) return new Response('Forbidden', {status: 403}); // Sealed for none of the keys in the batch
+		for (const s of sessions) s.integrity ||= 'unsigned';
+	}
+	if (options.archive) await options.archive(sessions, request, pages);
+	return new Response('OK');
+}
+
+async function pass(request, url, options) { // Solved challenge: score[0] back to 0 and, with a secret, a pass ticket for this score
+	const match = scan(request.headers.get('Cookie') || '');
+	if (!options.challenge || !await options.challenge(request, match)) return new Response('Forbidden', {status: 403}); // Site check of the proof posted by pass(proof), no hook no pass
+	if (!match.score || !/^\d+$/.test(match.score.flags)) return new Response(null, {status: 204});
+	const flags = '0' + match.score.flags.slice(1), headers = new Headers(), tail = '; Path=/; SameSite=Lax' + (url.protocol === 'https:' ? '; Secure' : '');
+	headers.append('Set-Cookie', 'score=' + flags + match.score.raw.slice(flags.length) + tail);
+	if (options.secret) { // Ticket bound to the key and time of this score, expires after EDGE.PTL
+		const expiry = Math.floor(Date.now() / 1000) + EDGE.PTL;
+		headers.append('Set-Cookie', EDGE.TIX + '=' + match.score.time + '.' + expiry + '.' + await mac(options.secret, [match.score.key, match.score.time, expiry, 'pass'].join('_')) + '; Max-Age=' + EDGE.PTL + tail);
+	}
+	if (options.secret) headers.append('Set-Cookie', EDGE.SIG + '=' + await sign(options.secret, match.score.key, match.score.time, flags, match.sessions) + tail); // Lowered digit signed, no flags tampering
+	if (options.secret && match.issued !== match.score.time) headers.append('Set-Cookie', EDGE.ISS + '=' + match.score.time + tail);
+	return new Response(null, {status: 204, headers});
+}
+
+async function handle(request, options = {}) { // Fetch API entry: handle(request) -> Response
+	const url = new URL(request.url), path = url.pathname.replace(/\/$/, '') || '/';
+	if (path === (EDGE.HIT.replace(/\/$/, '') || '/') && (url.searchParams.has('livestreaming') || url.searchParams.has('liveStreaming'))) return livestream(request, url, options);
+	if ((path === EDGE.ECO || path === EDGE.PIN) && request.method === 'POST') return echo(request, options);
+	if (path === EDGE.PAS && request.method === 'POST') return pass(request, url, options);
+	return new Response(null, {status: 404});
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { EDGE, scan, payload, handle }; // Node export
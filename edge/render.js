@@ -0,0 +1,130 @@
+/**
+ * EDGE - Offline journey visualizer
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * Sheet music is easier to read than a list of notes. Turns echo payloads into
+ * one self-contained HTML file with an SVG piano roll per visit: one lane per
+ * tab, pages as sections, clicks as notes at their DOM depth with folded repeats
+ * expanded, marks, section views and form notes on their own rows, scroll depth
+ * as a lane, hidden, blurred and idle stretches shaded and ___N tab switches as
+ * connectors between lanes. No scripts, fonts or network, hover titles carry
+ * the raw notes. Open the file from disk.
+ *
+ * Usage: node edge/render.js echo.txt [more.txt] > journeys.html
+ *        node edge/simulate.js all 3 | node edge/render.js > journeys.html
+ */
+
+const fs = require('fs');
+const { EDGE, payload } = require('./edge.js');
+
+const W = 1200, LEFT = 110, RIGHT = 24, ROW = 9, HEAD = 40, SCROLL = 32; // Geometry in px
+const DEVICE = ['desktop', 'mobile', 'tablet'], REFERRER = ['direct', 'internal', 'unknown'], FORM = {focus: 'f', edit: 'e', submit: 's', abandon: 'a'};
+
+const esc = s => String(s).replace(/[&<>"]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[c]);
+const clock = ticks => { const s = Math.round(ticks * EDGE.TIC / 100) / 10; return s < 60 ? s + 's' : Math.floor(s / 60) + 'm' + String(Math.round(s % 60)).padStart(2, '0') + 's'; };
+
+function lane(s) { // Session -> timeline events with absolute ticks, folded repeats expanded
+	const notes = [], pages = [], scrolls = [], tabs = [], aways = [];
+	let end = 0, away = null;
+	for (const e of s.beat.events) {
+		end = Math.max(end, e.at);
+		if (e.type === 'page') pages.push({at: e.at, label: e.path || [e.name, ...e.params].join('=')}); // Route parameters: prod=123
+		else if (e.type === 'scroll' && !e.top) scrolls.push({at: e.at, value: e.value, token: '^' + (e.target ? e.target + '=' : '') + e.value + (e.unit === '%' ? '%' : '')}); // ^^ max depth repeats a resting one
+		else if (e.type === 'tab') tabs.push({at: e.at, tab: e.tab});
+		else if (e.type === 'state') e.away ? away ??= {at: e.at, state: e.state} : away && (aways.push({...away, to: e.at}), away = null); // |h |b |i until |v |f |a
+		else if (e.type === 'element' || e.type === 'mark' || e.type === 'form' || e.type === 'view') {
+			let at = e.at;
+			notes.push({...e, at, again: false});
+			for (const t of e.repeats) notes.push({...e, at: at += t, again: true});
+			end = Math.max(end, at);
+		}
+	}
+	if (away && end > away.at) aways.push({...away, to: end}); // Still away at the last save
+	const offset = Math.max(0, (s.duration || 0) - end); // Tabs share the stage time, each flow ends at its last save
+	return {s, notes, pages, scrolls, tabs, aways, end, offset, depth: Math.max(0, ...notes.map(n => n.depth || 0))};
+}
+
+function grid(total) { // Time axis step in ticks, at most about 12 lines
+	const seconds = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800, 3600, 7200];
+	const tps = 1000 / EDGE.TIC;
+	return (seconds.find(x => total / (x * tps) <= 12) || seconds[seconds.length - 1]) * tps;
+}
+
+function svg(body) { // One echo payload -> <svg> piano roll
+	const lanes = payload(body).sessions.map(lane);
+	if (!lanes.length) return '<p>No sessions</p>';
+	const first = Math.min(...lanes.map(l => l.offset));
+	for (const l of lanes) l.offset -= first; // Earliest tab starts at zero
+	const total = Math.max(10, ...lanes.map(l => l.offset + l.end)), k = (W - LEFT - RIGHT) / total, x = t => (LEFT + t * k).toFixed(1);
+	const high = Math.max(1, ...lanes.flatMap(l => l.scrolls.map(p => p.value)));
+	const out = [], links = [], edge = {};
+	let y = 24;
+	const step = grid(total);
+	for (let t = 0; t <= total; t += step) out.push(`<line class="grid" x1="${x(t)}" x2="${x(t)}" y1="16" y2="100%"/><text class="axis" x="${x(t)}" y="12">${clock(t)}</text>`);
+	for (const l of lanes) {
+		const s = l.s, h = HEAD + (l.depth + 1) * ROW + SCROLL, at = t => x(l.offset + t), row = d => y + HEAD + (d || 0) * ROW;
+		edge[s.name] = [y, y + h];
+		out.push(`<g class="lane"><rect class="frame" x="${LEFT}" y="${y}" width="${W - LEFT - RIGHT}" height="${h}"/>`);
+		l.pages.forEach((p, i) => { // Page sections
+			const to = i + 1 < l.pages.length ? l.pages[i + 1].at : l.end;
+			out.push(`<rect class="band${i % 2}" x="${at(p.at)}" y="${y}" width="${Math.max(1, (to - p.at) * k).toFixed(1)}" height="${h}"><title>${esc(p.label)}</title></rect><text class="page" x="${(+at(p.at) + 3).toFixed(1)}" y="${y + 11}">${esc(p.label)}</text>`);
+		});
+		for (const a of l.aways) out.push(`<rect class="away" x="${at(a.at)}" y="${y}" width="${Math.max(1, (a.to - a.at) * k).toFixed(1)}" height="${h}"><title>${a.state} ${clock(a.to - a.at)}</title></rect>`); // Time away from the page
+		out.push(`<text class="name" x="6" y="${y + 12}">${esc(s.name || 'session')}</text>`);
+		out.push(`<text class="meta" x="6" y="${y + 25}">${DEVICE[s.device] || 'device ' + s.device} · ${REFERRER[s.referrer] || 'ref ' + s.referrer}${s.campaign && s.campaign !== '0' ? ' · ' + esc(s.campaign) : ''}${s.env ? ' · ' + s.env.input + ' ' + s.env.viewport + 'px' : ''}</text>`); // RHYTHM.UTM codes, context input and viewport
+		out.push(`<text class="meta" x="6" y="${y + 37}">${s.clicks} clicks · ${s.scrolls} scrolls · ${clock(s.duration)}</text>`);
+		out.push(`<text class="meta" x="${LEFT - 6}" y="${y + HEAD - 8}" text-anchor="end">marks</text><text class="meta" x="${LEFT - 6}" y="${row(l.depth) + 3}" text-anchor="end">depth ${l.depth}</text>`);
+		for (const n of l.notes) { // Notes: marks and views above, elements and form fields at their DOM depth
+			const title = `<title>${esc((n.type === 'mark' ? '@' + n.name : n.type === 'view' ? '#' + n.name : n.type === 'form' ? ':' + FORM[n.action] + n.name + ' ' + n.action : '*' + n.name) + ' at ' + clock(l.offset + n.at) + (n.again ? ' (repeat)' : ''))}</title>`;
+			const cx = at(n.at), cy = n.type === 'mark' || n.type === 'view' ? y + HEAD - 12 : row(n.depth);
+			if (n.type === 'view') out.push(`<rect class="view" x="${(cx - 4).toFixed(1)}" y="${cy - 3}" width="8" height="6">${title}</rect>`);
+			else if (n.type === 'mark') out.push(`<path class="mark" d="M${cx} ${cy - 5}l5 5l-5 5l-5-5z">${title}</path>`);
+			else if (n.type === 'form') out.push(`<circle class="form ${n.action}" cx="${cx}" cy="${cy}" r="4">${title}</circle>`);
+			else out.push(`<rect class="note${n.again ? ' again' : ''}${n.depth === null ? ' named' : ''}" x="${(cx - 3).toFixed(1)}" y="${cy - 3}" width="6" height="6" rx="1">${title}</rect>`);
+		}
+		if (l.scrolls.length) { // Scroll depth lane, deeper is lower
+			const base = y + h - 4, sy = v => (base - (SCROLL - 8) * (1 - v / high)).toFixed(1);
+			out.push(`<polyline class="scroll" points="${l.scrolls.map(p => at(p.at) + ',' + sy(p.value)).join(' ')}"/>`);
+			for (const p of l.scrolls) out.push(`<circle class="scroll" cx="${at(p.at)}" cy="${sy(p.value)}" r="2"><title>${esc(p.token)} at ${clock(l.offset + p.at)}</title></circle>`);
+		}
+		for (const t of l.tabs) links.push({from: s.name, to: 'rhythm_' + t.tab, x: at(t.at)});
+		out.push('</g>');
+		y += h + 18;
+	}
+	for (const link of links) { // ___N tab switches
+		if (!(link.to in edge)) continue;
+		const [a, b] = edge[link.from], [c, d] = edge[link.to], from = c > a ? b : a, to = c > a ? c : d; // Leave towards the target lane
+		out.push(`<path class="tab" d="M${link.x} ${from}L${link.x} ${to}" marker-end="url(#arrow)"><title>${esc(link.from)} → ${esc(link.to)}</title></path>`);
+	}
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${y}" viewBox="0 0 ${W} ${y}"><defs><marker id="arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="7" markerHeight="7" orient="auto"><path d="M0 0L8 4L0 8z" class="arrow"/></marker></defs>${out.join('')}</svg>`;
+}
+
+function render(bodies, title = 'BEAT journeys') { // Echo payloads -> self-contained HTML page
+	const visits = bodies.map((body, i) => `<section><h2>Visit ${i + 1}</h2>${svg(body)}</section>`).join('\n');
+	return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title><style>
+body{font:13px system-ui,sans-serif;margin:24px;color:#222;background:#fff}h2{font-size:14px;margin:24px 0 6px}
+text{font:10px system-ui,sans-serif;fill:#555}.name{font-weight:600;font-size:11px;fill:#222}.page{fill:#345}.axis{text-anchor:middle;fill:#888}
+.grid{stroke:#eee}.frame{fill:none;stroke:#ccc}.band0{fill:#f3f6fa}.band1{fill:#e8eef5}.away{fill:#222;fill-opacity:.08}
+.note{fill:#2a6fdb}.note.again{fill:#8fb3ee}.note.named{fill:#6b4fbb}.mark{fill:#e8a317}.view{fill:none;stroke:#e8a317}
+.form{fill:#fff;stroke-width:2}.form.focus{stroke:#2a9d8f}.form.edit{stroke:#2a6fdb}.form.submit{fill:#2a9d8f;stroke:#2a9d8f}.form.abandon{stroke:#d1495b}
+polyline.scroll{fill:none;stroke:#999;stroke-width:1}circle.scroll{fill:#999}.tab{fill:none;stroke:#d1495b;stroke-dasharray:4 3}.arrow{fill:#d1495b}
+</style></head><body><h1>${esc(title)}</h1>
+${visits}
+</body></html>
+`;
+}
+
+function bodies(text) { // Raw echo body, or simulate.js JSON lines with an echo array
+	if (!/^\s*\{/.test(text)) return [text.trim()];
+	return text.split(/\r?\n/).filter(line => line.trim()).map(line => [].concat(JSON.parse(line).echo || []).join('\n'));
+}
+
+if (require.main === module) {
+	const files = process.argv.slice(2);
+	const text = files.length ? files.map(f => fs.readFileSync(f, 'utf8')) : [fs.readFileSync(0, 'utf8')];
+	process.stdout.write(render(text.flatMap(bodies)));
+}
+
+module.exports = { render, svg, bodies };
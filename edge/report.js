@@ -0,0 +1,156 @@
+/**
+ * EDGE - Aggregation report for archived echo batches
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * From a pile of recordings to the charts. Reads echo payloads (raw bodies or
+ * simulate.js JSON lines) from files and directories, stitches sessions into
+ * visits by their shared key across slots and tabs, and counts what the flows
+ * played: page-to-page transitions, dwell time per page from the ~ gaps up to
+ * the next page minus the hidden, blurred and idle stretches of the VIS addon
+ * (exit pages have no end in the flow and are left out), top elements per
+ * page, referrers through EDGE.REF codes, campaigns through EDGE.UTM codes,
+ * device split, session context (viewport, input, language, platform) and
+ * optional funnels. Prints JSON, or one table as CSV for dashboards.
+ *
+ * Usage: node edge/report.js archive/ [--pages pages.json] [--ref ref.json] [--utm utm.json] [--funnel /,/products,/cart] [--csv transitions]
+ *        CSV tables: devices, contexts, referrers, campaigns, transitions, dwell, elements, funnel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BEAT } = require('../beat/beat.js');
+const { EDGE, payload } = require('./edge.js');
+const { bodies } = require('./render.js');
+
+const DEVICE = ['desktop', 'mobile', 'tablet'];
+const BUCKETS = [5, 15, 30, 60, 180, Infinity]; // Dwell histogram upper bounds in seconds
+const ENTRY = '(entry)', EXIT = '(exit)';
+
+function referrers(ref) { // RHYTHM.REF shape (domain: code) -> code -> domain
+	return Object.fromEntries(Object.entries(ref).map(([domain, code]) => [code, domain]));
+}
+
+function campaigns(utm) { // RHYTHM.UTM shape -> letter -> code -> value and click IDs by bit
+	const table = key => Object.fromEntries(Object.entries(utm[key] || {}).map(([value, code]) => [code, value]));
+	return {s: table('SRC'), m: table('MED'), c: table('CMP'), k: utm.CID || []};
+}
+
+function campaign(code, names) { // 's3m1c0k1' -> 'google / cpc / (other) +gclid', 0 -> (none)
+	const m = Object.fromEntries([...String(code).matchAll(/([smc])(\d+)|(k)([0-9a-z]+)/g)].map(x => x[1] ? [x[1], x[2]] : [x[3], x[4]]));
+	if (!Object.keys(m).length) return '(none)';
+	const ids = m.k ? names.k.filter((id, i) => parseInt(m.k, 36) >> i & 1) : [];
+	return ['s', 'm', 'c'].map(l => !(l in m) ? '-' : m[l] === '0' ? '(other)' : names[l][m[l]] || l + m[l]).join(' / ') + ids.map(id => ' +' + id).join('');
+}
+
+function label(e) { // Page path from the dictionary or BEAT.MAP.P, else its token
+	const mapped = !e.collision && Object.keys(BEAT.MAP.P).find(p => BEAT.MAP.P[p] === e.name);
+	return e.path || mapped || BEAT.TOK.P + BEAT.TOK.L.repeat(e.collision) + e.name;
+}
+
+function stats(list) { // Dwell seconds -> count, mean, median, p90 and histogram
+	const sorted = list.slice().sort((a, b) => a - b), at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+	const buckets = {}, round = x => Math.round(x * 10) / 10;
+	let low = 0;
+	for (const high of BUCKETS) {
+		buckets[high === Infinity ? low + 's+' : low + '-' + high + 's'] = sorted.filter(x => x >= low && x < high).length;
+		low = high;
+	}
+	return {count: sorted.length, mean: round(sorted.reduce((s, x) => s + x, 0) / sorted.length), median: round(at(0.5)), p90: round(at(0.9)), buckets};
+}
+
+function aggregate(list, options = {}) { // Echo bodies -> report object
+	const names = referrers({...EDGE.REF, ...options.ref}), utm = campaigns({...EDGE.UTM, ...options.utm}), seen = new Set(), visits = new Map();
+	let sessions = 0;
+	for (const body of list) for (const s of payload(body).sessions) {
+		const id = [s.key, s.name, s.time, s.flow].join('|');
+		if (seen.has(id)) continue; // Same batch archived by several ECO endpoints
+		seen.add(id), sessions++;
+		const key = s.key || id; // Legacy rhythm.js sessions carry no key, each stands alone
+		visits.has(key) ? visits.get(key).push(s) : visits.set(key, [s]);
+	}
+	const devices = {}, contexts = {viewport: {}, input: {}, language: {}, platform: {}}, refs = {}, camps = {}, transitions = {}, dwell = {}, clicks = {}, steps = options.funnel || [], reached = steps.map(() => 0);
+	const count = (table, a, b) => ((table[a] ||= {})[b] = (table[a][b] || 0) + 1);
+	for (const tabs of visits.values()) {
+		tabs.sort((a, b) => a.name.slice(7) - b.name.slice(7));
+		const first = tabs[0], trail = [];
+		devices[DEVICE[first.device] || 'device ' + first.device] = (devices[DEVICE[first.device] || 'device ' + first.device] || 0) + 1;
+		for (const field in contexts) { // Decoded context of the first tab, (none) for sessions written without one
+			const value = first.env ? first.env[field] ?? '(not sent)' : '(none)';
+			contexts[field][value] = (contexts[field][value] || 0) + 1;
+		}
+		const ref = ['direct', 'internal', 'unknown'][first.referrer] || names[first.referrer] || 'ref ' + first.referrer;
+		refs[ref] = (refs[ref] || 0) + 1;
+		const camp = campaign(first.campaign, utm); // Landing attribution of the visit's first tab
+		camps[camp] = (camps[camp] || 0) + 1;
+		for (const s of tabs) { // Each tab plays its own page sequence
+			let page = null, since = 0, away = 0, left = null; // Ticks away from the page, start of the open away stretch
+			const leave = at => page && (dwell[page] ||= []).push((at - since - away - (left === null ? 0 : Math.max(0, at - left))) * EDGE.TIC / 1000); // Up to the next page
+			for (const e of s.beat.events) {
+				if (e.type === 'page') {
+					leave(e.at);
+					count(transitions, page || ENTRY, label(e));
+					page = label(e), since = e.at, away = 0, left = left === null ? null : e.at;
+					trail.push(page);
+				} else if (e.type === 'element' && page) {
+					count(clicks, page, e.name), clicks[page][e.name] += e.repeats.length;
+				} else if (e.type === 'state') { // |h |b |i open an away stretch, |v |f |a close it
+					e.away ? left ??= e.at : left !== null && (away += e.at - left, left = null);
+				}
+			}
+			if (page) count(transitions, page, EXIT); // The exit page has no end in the flow, no dwell sample
+		}
+		for (let i = 0, j = 0; i < steps.length; i++) { // Funnel: steps visited in order
+			while (j < trail.length && trail[j] !== steps[i]) j++;
+			if (j++ >= trail.length) break;
+			reached[i]++;
+		}
+	}
+	const elements = {};
+	for (const page in clicks) elements[page] = Object.entries(clicks[page]).sort((a, b) => b[1] - a[1]).slice(0, options.top || 10).map(([element, n]) => ({element, clicks: n}));
+	const report = {visits: visits.size, sessions, devices, contexts, referrers: refs, campaigns: camps, transitions, dwell: Object.fromEntries(Object.entries(dwell).map(([p, list]) => [p, stats(list)])), elements};
+	if (steps.length) report.funnel = steps.map((step, i) => ({step, visits: reached[i], rate: visits.size ? Math.round(reached[i] / visits.size * 1000) / 1000 : 0}));
+	return report;
+}
+
+function csv(report, table) { // One report table as CSV rows
+	const cell = v => /[",\n]/.test(String(v)) ? '"' + String(v).replace(/"/g, '""') + '"' : String(v);
+	const rows = {
+		devices: () => [['device', 'visits'], ...Object.entries(report.devices)],
+		contexts: () => [['field', 'value', 'visits'], ...Object.entries(report.contexts).flatMap(([field, values]) => Object.entries(values).map(([value, n]) => [field, value, n]))],
+		referrers: () => [['referrer', 'visits'], ...Object.entries(report.referrers)],
+		campaigns: () => [['campaign', 'visits'], ...Object.entries(report.campaigns)],
+		transitions: () => [['from', 'to', 'count'], ...Object.entries(report.transitions).flatMap(([from, to]) => Object.entries(to).map(([page, n]) => [from, page, n]))],
+		dwell: () => {
+			const buckets = Object.keys(Object.values(report.dwell)[0]?.buckets || {});
+			return [['page', 'count', 'mean', 'median', 'p90', ...buckets], ...Object.entries(report.dwell).map(([page, d]) => [page, d.count, d.mean, d.median, d.p90, ...buckets.map(b => d.buckets[b])])];
+		},
+		elements: () => [['page', 'element', 'clicks'], ...Object.entries(report.elements).flatMap(([page, list]) => list.map(e => [page, e.element, e.clicks]))],
+		funnel: () => [['step', 'visits', 'rate'], ...(report.funnel || []).map(f => [f.step, f.visits, f.rate])],
+	}[table];
+	if (!rows) throw new Error('Unknown table: ' + table);
+	return rows().map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+function files(target) { // File or directory -> file paths
+	return fs.statSync(target).isDirectory() ? fs.readdirSync(target).sort().map(f => path.join(target, f)).filter(f => fs.statSync(f).isFile()) : [target];
+}
+
+if (require.main === module) {
+	const args = process.argv.slice(2), options = {}, inputs = [];
+	let table = null;
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--pages') Object.assign(BEAT.DIC, JSON.parse(fs.readFileSync(args[++i], 'utf8'))); // Dictionary from beat/pages.js
+		else if (args[i] === '--ref') options.ref = JSON.parse(fs.readFileSync(args[++i], 'utf8')); // Same shape as RHYTHM.REF, added to EDGE.REF
+		else if (args[i] === '--utm') options.utm = JSON.parse(fs.readFileSync(args[++i], 'utf8')); // Same shape as RHYTHM.UTM, tables replace those of EDGE.UTM
+		else if (args[i] === '--funnel') options.funnel = args[++i].split(',');
+		else if (args[i] === '--top') options.top = +args[++i];
+		else if (args[i] === '--csv') table = args[++i];
+		else inputs.push(args[i]);
+	}
+	if (!inputs.length) console.error('Usage: node edge/report.js <archive dir|echo file>... [--pages pages.json] [--ref ref.json] [--utm utm.json] [--funnel a,b,c] [--top N] [--csv table]'), process.exit(1);
+	const report = aggregate(inputs.flatMap(files).flatMap(f => bodies(fs.readFileSync(f, 'utf8'))), options);
+	process.stdout.write(table ? csv(report, table) : JSON.stringify(report, null, '\t') + '\n');
+}
+
+module.exports = { aggregate, csv };
@@ -0,0 +1,236 @@
+/**
+ * EDGE - Session simulator for bot and human personas
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * A rehearsal without an audience. Runs the real fullscore.js in a small fake
+ * browser with a virtual clock and a seeded random source, and lets scripted
+ * personas play it: a careful shopper, a MachineGun bot, a Metronome bot and a
+ * Surface crawler. Every page load is a fresh script run sharing the same cookie
+ * jar, storage and window.name, like a real tab. The output is what the edge
+ * would see: the Cookie header of each livestreaming refresh and every echo
+ * payload. The same seed always plays the same performance.
+ *
+ * CLI:     node edge/simulate.js [persona|all] [visitors] [--seed N] > runs.jsonl
+ * Node:    const { simulate } = require('./edge/simulate.js');
+ *          const run = simulate('machinegun', {seed: 7});
+ *          await handle(new Request('https://site/rhythm/?livestreaming', {method: 'HEAD', headers: {Cookie: run.livestream.at(-1)}}));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = path.join(__dirname, '..', 'fullscore.js');
+const START = Date.UTC(2025, 0, 1, 10); // Virtual clock origin, fixed for reproducible runs
+
+const UA = { // User agents per device
+	desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+	bot: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/124.0 Safari/537.36',
+};
+
+function random(seed) { // Seeded [0, 1) source (mulberry32)
+	let a = seed >>> 0;
+	return () => {
+		a = a + 0x6D2B79F5 >>> 0;
+		let t = Math.imul(a ^ a >>> 15, 1 | a);
+		t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+		return ((t ^ t >>> 14) >>> 0) / 4294967296;
+	};
+}
+
+function element(tag, parent, attrs = {}) { // Just enough of an Element for Beat.key() and TEMPO
+	const el = {tagName: tag.toUpperCase(), nodeType: 1, parentElement: parent, children: [], id: attrs.id || '', className: attrs.class || '', textContent: attrs.text || '', attrs};
+	el.getAttribute = name => name in attrs ? String(attrs[name]) : null;
+	el.matches = selector => selector.split(',').some(s => { // tag or [attribute]
+		const m = s.trim().match(/^\[([\w-]+)\]$/);
+		return m ? m[1] in attrs : s.trim().toUpperCase() === el.tagName;
+	});
+	el.closest = selector => { for (let e = el; e; e = e.parentElement) if (e.matches(selector)) return e; return null; };
+	Object.defineProperty(el, 'previousElementSibling', {get: () => parent ? parent.children[parent.children.indexOf(el) - 1] || null : null});
+	parent?.children.push(el);
+	return el;
+}
+
+function layout(body) { // One page template: header nav, product cards, footer and bare body links
+	const at = {nav: [], card: [], image: [], add: [], footer: [], bare: []};
+	const nav = element('nav', element('header', body));
+	for (let i = 0; i < 5; i++) at.nav.push(element('a', nav, {text: 'Menu ' + i}));
+	const section = element('section', element('main', body));
+	for (let i = 0; i < 6; i++) {
+		const card = element('div', section, {class: 'card'});
+		at.image.push(element('img', card));
+		at.card.push(element('a', card, {text: 'Product ' + i}));
+		at.add.push(element('button', card, {text: 'Add to cart'}));
+	}
+	const footer = element('footer', body);
+	for (let i = 0; i < 3; i++) at.footer.push(element('a', footer, {text: 'Link ' + i}));
+	for (let i = 0; i < 4; i++) at.bare.push(element('a', body, {text: 'Page ' + i}));
+	return at;
+}
+
+function target() { // addEventListener/removeEventListener/dispatch with capture and once
+	const listeners = {};
+	return {
+		addEventListener(type, fn, options) { (listeners[type] ||= []).push({fn, once: !!options?.once}); },
+		removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter(l => l.fn !== fn); },
+		dispatch(type, event = {}) {
+			for (const l of (listeners[type] || []).slice()) {
+				if (l.once) this.removeEventListener(type, l.fn);
+				l.fn({type, isTrusted: true, preventDefault() {}, stopImmediatePropagation() {}, ...event});
+			}
+		},
+	};
+}
+
+function storage() { // localStorage/sessionStorage
+	const map = new Map();
+	return {
+		getItem: k => map.has(k) ? map.get(k) : null,
+		setItem: (k, v) => void map.set(k, String(v)),
+		removeItem: k => void map.delete(k),
+		key: i => [...map.keys()][i] ?? null,
+		get length() { return map.size; },
+	};
+}
+
+class Visitor { // One browser tab: shared jar and storage, one script run per page load
+	constructor(options = {}) {
+		this.now = options.start ?? START;
+		this.random = random(options.seed ?? 1);
+		this.ua = options.ua || UA.desktop;
+		this.config = options.config || {}; // FullScore.set() options applied on every page load
+		this.jar = new Map();
+		this.local = storage(), this.session = storage();
+		this.name = ''; // window.name survives page loads
+		this.timers = [];
+		this.livestream = [], this.echo = [];
+		this.page = null;
+	}
+	get cookie() { return [...this.jar].map(([k, v]) => k + '=' + v).join('; '); }
+	set cookie(line) {
+		const [pair, ...attrs] = line.split(';'), i = pair.indexOf('=');
+		const name = pair.slice(0, i).trim();
+		if (attrs.some(a => /^\s*Max-Age=0\s*$/i.test(a))) this.jar.delete(name);
+		else this.jar.set(name, pair.slice(i + 1));
+	}
+	wait(ms) { // Advance the virtual clock and run due timers in order
+		const until = this.now + ms;
+		for (let t; (t = this.timers.filter(t => t.at <= until).sort((a, b) => a.at - b.at || a.id - b.id)[0]);) {
+			this.timers.splice(this.timers.indexOf(t), 1);
+			this.now = Math.max(this.now, t.at), t.fn();
+		}
+		this.now = until;
+	}
+	go(url) { // Page load: leave the current page, run fullscore.js again, url may carry a query like /?utm_source=google
+		if (this.page) this.page.window.dispatch('pagehide', {persisted: false}), this.timers = []; // Unloaded page never runs its timers
+		const visitor = this, document = target(), window = target(), body = element('body', null), at = layout(body);
+		const to = new URL(url, 'https://site.test'), location = {protocol: 'https:', hostname: 'site.test', origin: 'https://site.test', pathname: to.pathname, search: to.search, hash: to.hash};
+		Object.assign(document, {body, documentElement: element('html', null), readyState: 'complete', visibilityState: 'visible', referrer: '', currentScript: null});
+		Object.defineProperty(document, 'cookie', {get: () => visitor.cookie, set: v => visitor.cookie = v});
+		Object.defineProperty(window, 'name', {get: () => visitor.name, set: v => visitor.name = String(v)});
+		window.scrollY = 0, window.location = location, window.innerWidth = /mobi/i.test(this.ua) ? 390 : 1280; // RHYTHM.DEF redirects only set location.href
+		let id = 0;
+		const context = {
+			document, window, location, URL, URLSearchParams, AbortController, console,
+			history: {pushState: (s, t, u) => visitor.move(location, u), replaceState: (s, t, u) => visitor.move(location, u)},
+			navigator: {userAgent: this.ua, maxTouchPoints: 0, language: 'en-US', sendBeacon: (url, data) => (visitor.echo.push(String(data)), true)},
+			localStorage: this.local, sessionStorage: this.session,
+			setTimeout: (fn, ms = 0) => (visitor.timers.push({id: ++id, at: visitor.now + ms, fn}), id),
+			clearTimeout: t => visitor.timers = visitor.timers.filter(x => x.id !== t),
+			setInterval: () => 0, clearInterval: () => {},
+			fetch: (url, options = {}) => (options.method === 'HEAD' && visitor.livestream.push(visitor.cookie), Promise.resolve({})), // Cookie header the edge receives
+		};
+		vm.createContext(context);
+		vm.runInContext(fs.readFileSync(SOURCE, 'utf8'), context, {filename: SOURCE});
+		const rhythm = vm.runInContext('(config, options) => { FullScore.set(config); return new Rhythm(options); }', context)(this.config, {clock: () => visitor.now, random: this.random});
+		this.page = {document, window, at, rhythm};
+	}
+	move(location, url) { // history.pushState/replaceState: path, query and hash of the new URL
+		const to = new URL(url, location.origin);
+		Object.assign(location, {pathname: to.pathname, search: to.search, hash: to.hash});
+	}
+	click(group, index = 0) { // pointerdown + mousedown + click on a layout element
+		const el = this.page.at[group][index % this.page.at[group].length];
+		this.page.document.dispatch('pointerdown', {target: el});
+		this.page.document.dispatch('mousedown', {target: el});
+		this.page.document.dispatch('click', {target: el});
+	}
+	scroll(y) { // One scroll gesture, debounce included
+		this.page.window.scrollY = y;
+		this.page.document.dispatch('scroll');
+		this.wait(200);
+	}
+	mark(name) { this.page.rhythm.mark(name); } // rhythm.mark('add-to-cart')
+	away(ms) { // Switch to another tab and back: blur and hidden, ms later visible and focus
+		const {document, window} = this.page;
+		window.dispatch('blur'), document.visibilityState = 'hidden', document.dispatch('visibilitychange');
+		this.wait(ms);
+		document.visibilityState = 'visible', document.dispatch('visibilitychange'), window.dispatch('focus');
+	}
+	leave() { // Close the tab with the best-case delivery: pagehide timers still run
+		this.page?.window.dispatch('pagehide', {persisted: false});
+		this.wait(10);
+		this.page = null;
+	}
+}
+
+const personas = { // Scripted behavior: persona(visitor, rnd) plays one visit
+	shopper(v, rnd) { // Careful shopper: reads, scrolls, compares, adds to cart
+		const pause = (a, b) => v.wait(Math.round(a + rnd() * (b - a)));
+		v.go('/');
+		pause(2000, 6000), v.scroll(400), pause(1500, 4000);
+		v.click('nav', 1), pause(300, 900), v.go('/products');
+		const views = 3 + Math.floor(rnd() * 3);
+		for (let i = 0; i < views; i++) {
+			pause(2000, 8000), v.scroll(300 + Math.round(rnd() * 1200));
+			const item = Math.floor(rnd() * 6);
+			pause(1000, 3000), v.click('card', item), pause(300, 900), v.go('/products/' + item);
+			pause(3000, 12000), v.click('image', item), pause(1500, 5000);
+			if (rnd() < 0.5) v.click('add', item), v.mark('add-to-cart'), pause(800, 2500);
+			v.click('nav', 1), pause(300, 900), v.go('/products');
+		}
+		pause(2000, 5000), v.click('nav', 4), pause(300, 900), v.go('/cart');
+		pause(4000, 10000);
+	},
+	machinegun(v, rnd) { // MachineGun bot: bursts of clicks under 200ms on one button
+		v.go('/');
+		v.wait(800);
+		for (let i = 0; i < 40; i++) v.click('add', 2), v.wait(40 + Math.floor(rnd() * 110));
+	},
+	metronome(v) { // Metronome bot: exactly one click per second
+		v.go('/');
+		v.wait(1000);
+		for (let i = 0; i < 20; i++) v.click(i % 2 ? 'card' : 'nav', i), v.wait(1000);
+	},
+	crawler(v, rnd) { // Surface crawler: follows bare body-level links from page to page
+		v.go('/');
+		for (let i = 0; i < 12; i++) {
+			v.wait(400 + Math.floor(rnd() * 1200));
+			const group = rnd() < 0.7 ? 'bare' : 'footer';
+			v.click(group, i), v.wait(50), v.go('/page/' + (i + 1));
+		}
+	},
+};
+
+const DEVICE = {shopper: UA.desktop, machinegun: UA.bot, metronome: UA.bot, crawler: UA.bot};
+
+function simulate(persona, options = {}) { // One visit -> {persona, seed, livestream: [Cookie header], cookies, echo: [payload]}
+	if (!personas[persona]) throw new Error('Unknown persona: ' + persona + ' (' + Object.keys(personas).join(', ') + ')');
+	const seed = options.seed ?? 1, salt = [...persona].reduce((h, c) => Math.imul(h, 31) + c.charCodeAt(0) | 0, 0);
+	const visitor = new Visitor({ua: DEVICE[persona], ...options, seed: seed ^ salt}); // Personas with the same seed still get their own key
+	personas[persona](visitor, random(seed ^ 0x5EED));
+	const cookies = visitor.cookie; // Last state the edge could see
+	visitor.leave();
+	return {persona, seed, livestream: visitor.livestream, cookies, echo: visitor.echo};
+}
+
+if (require.main === module) { // CLI: one JSON line per visit
+	const args = process.argv.slice(2), flag = args.indexOf('--seed');
+	const seed = flag >= 0 ? +args.splice(flag, 2)[1] : 1;
+	const [which = 'all', count = 1] = args;
+	const names = which === 'all' ? Object.keys(personas) : [which];
+	for (const name of names) for (let i = 0; i < +count; i++) process.stdout.write(JSON.stringify(simulate(name, {seed: seed + i})) + '\n');
+}
+
+module.exports = { personas, simulate, Visitor };
@@ -5,6 +5,7 @@
  * - TEMPO: MIT License
  * - RHYTHM: GPL-3.0 License
  * - BEAT: AGPL-3.0 License
+ * - SCORE: GPL-3.0 License
  * See LICENSE file for details
  *
  * Inside a piano lie over 230 strings. Strike one, and others with the same
@@ -38,16 +39,48 @@ const BEAT = { 	// Behavioral Event Analytics Transform
 		T: '~',			// Time
 		A: '.',			// Again
 		L: '.',			// Loop
+		M: '@',			// Mark
+		F: ':',			// Form (f=focus, e=edit, s=submit, a=abandon)
+		V: '#',			// View (section exposure)
+		S: '|',			// State (h=hidden, v=visible, b=blur, f=focus, i=idle, a=active)
 	},
 	MAP: {				// Manual mapping (default: automatic)
 		P: {					// Page URL paths
 			'/': 'home', 		// Homepage reserved word (result: !home)
 			'/english/': 'en', 	// Multilingual path example (result: !en)
+			// '/product/:id': 'prod',	// Route pattern example, :param segments kept and * segments dropped (result: !prod=123)
 		},
 		E: {					// Element id or class selectors
 			'#close-button': 'close',	// Close button example (result: *close)
 			'.open-modal': 'm',			// Modal button example (result: *m)
+		},
+		ATT: 'data-beat',		// Element name attribute, nearest ancestor wins (result: *name, '' to disable)
+		FPR: false,				// Stable fingerprint for unmapped elements instead of DOM depth (result: *button-ms-k2d)
+		M: {					// Custom event names for rhythm.mark()
+			'add-to-cart': 'cart',		// Business event example (result: @cart)
 		}
+	},
+	EXP: {				// Watched sections of the EXP addon, exposures fold like clicks (result: #pricing)
+		ATT: 'data-expose',		// Section name attribute (result: #name, '' to disable)
+		MAP: {					// Section selectors
+			'#pricing': 'pricing',		// Pricing table example (result: #pricing)
+		},
+		MIN: 50,				// Visible share of the section, or of the viewport for tall sections (default: 50%)
+		DUR: 1000,				// Continuous visibility before it counts (default: 1000ms)
+	},
+	SCR: {				// Scroll tokens of the SCR addon (result: ^600 window, ^3div1=600 container keyed like elements)
+		PCT: false,		// Depth as percentage of scrollable height, comparable across screens (result: ^42%)
+		TOP: false,		// Max depth reached per page and container, written on leaving the page (result: ^^87%)
+	},
+	RTE: {				// Route normalization of the page path (result: !x3n for /checkout?step=2, !prod=123=2 when mapped)
+		QRY: [],		// Query keys that count as a page change, kept in this order (example: ['step', 'tab'])
+		HSH: false,		// Hash router: #/path and #!/path routes replace the pathname
+	},
+	VIS: {				// Engagement states of the VIS addon, ~N between |h and |v is time away (result: |h~3600|v)
+		IDL: 30000,		// No input for this long marks idle from the last input, 0 to disable (default: 30000ms)
+	},
+	DIC: {				// Precomputed page dictionary (default: empty, generate with: node beat/pages.js sitemap.xml)
+						// Hash tokens with their collision dots, kept stable for every visitor (example: '!x3n': '/about')
 	}
 };
 
@@ -67,9 +100,21 @@ const RHYTHM = { // Real-time Hybrid Traffic History Monitor
 	KEY: 8,				// Session key length (default: 8 chars)
 	AGE: 259200,		// Session retention period (default: 3 days)
 	MAX: 7,				// Maximum session count (default: 7 slots)
+	PGS: 300,			// Page dictionary entries kept in localStorage, least recently visited dropped first (default: 300 pages)
 	CAP: 3500,			// Maximum session capacity (default: 3500 bytes)
+	CON: false,			// Consent mode, nothing written or sent until FullScore.consent(true) (default: false)
+	GPC: true,			// Honour navigator.globalPrivacyControl as refusal until explicit consent (default: true)
+	PRV: 'input[type=password], [autocomplete^="cc-"]', // Form fields never tracked by FRM addon (default: passwords and payment cards)
 	DEL: 1,				// Session deletion criteria (default: 1 clicks)
 						// Below threshold not batched, 0 means all sessions batched
+	DEF: '/404',		// Bot blocking path (default: /404 page), '' blocks without redirect
+	SEC: {				// Graded bot enforcement by score[0] level, 10 turns a grade off (same as rhythm.js)
+		QUI: 1,			// Quiet: livestreaming refresh stops, recording goes on (default: level 1)
+		CHA: 4,			// Challenge: HOK runs once per page (default: level 4)
+		BLK: 7,			// Block: Rhythm stops and the page goes to DEF (default: level 7)
+		ALW: [],		// Allowlist never enforced: path prefixes '/status' or user agent parts 'UptimeRobot'
+		HOK: null,		// Challenge hook (level, pass) => {}, call pass() once the visitor solved it
+	},
 	REF: {				// Referrer mapping (0=direct, 1=internal, 2=unknown, 3-255=specific domains)
 		'google.com': 3,
 		'youtube.com': 4,
@@ -78,29 +123,78 @@ const RHYTHM = { // Real-time Hybrid Traffic History Monitor
 		'chatgpt.com': 7,
 		'meta.com': 8,
 	},
+	UTM: {				// Campaign attribution from the landing URL, taken when a session is created (result: s3m1c0k1, 0 without any)
+		SRC: {			// utm_source codes, lowercase (s), unlisted values are 0
+			'google': 1,
+			'newsletter': 2,
+		},
+		MED: {			// utm_medium codes, lowercase (m), unlisted values are 0
+			'cpc': 1,
+			'email': 2,
+			'social': 3,
+		},
+		CMP: {			// utm_campaign codes, lowercase (c), unlisted values are 0
+		},
+		CID: ['gclid', 'fbclid', 'msclkid', 'ttclid'],	// Click ID parameters, only presence kept as bits in this order (k, base36)
+	},
+	VPW: [480, 768, 1024, 1440],	// Viewport width bucket bounds in CSS px, the context digit counts the bounds reached (at most 9)
 	ADD: { 		// Addon features
 		TAB: true,		// BEAT Cross-tab tracking addon (default: true)
 		SCR: false,		// BEAT Scroll position tracking addon (default: false)
 		REC: false,		// Keep crashed sessions for recovery after abnormal exit (default: false)
 		SPA: false,		// Single Page Application addon (default: false)
+		BOT: false,		// SCORE Local bot classification without edge worker (default: false)
+		PAK: false,		// BEAT Back-reference compression of repeated notes ($id) to stretch CAP (default: false)
+		FRM: false,		// BEAT Form focus, edit, submit and abandon tracking, values never recorded (default: false)
+		EXP: false,		// BEAT Section exposure tracking with IntersectionObserver (default: false)
+		VIS: false,		// BEAT Hidden, blur and idle stretches marked so ~N gaps read as engaged time (default: false)
+		UTM: true,		// Campaign attribution from utm_ parameters and click IDs (default: true)
+		CTX: true,		// Session context: viewport bucket, input, language and UA-CH platform (default: true)
 		POW: false,		// Immediate batch on visibility change (default: false)
 						// When POW=false, preserves complete journey in just one batch. May be delayed or lost depending on user behavior.
 						// When POW=true, sends batch immediately on visibility change. More reliable delivery but fragments journey.
 	}
 };
 
+const SCORE = { // Signal Classification Of Rhythm Events
+	BOT: {				// Bot classifiers thresholds (time in BEAT ticks, default: 100ms)
+		MachineGun: {	// Rapid clicks (*1a1*1a2*1a3...)
+			GAP: 2,		// Click interval counted as rapid (default: under 200ms)
+			HIT: 8,		// Rapid clicks per level step (default: 8 clicks)
+			LVL: 3,		// Level added per step (default: 3)
+		},
+		Metronome: {	// Exact intervals (~10*1a1~10*1a2~10*1a3...)
+			TOL: 0,		// Interval tolerance (default: 0 ticks, identical)
+			RUN: 5,		// Consecutive equal intervals (default: 5)
+			LVL: 5,		// Bot level (default: 5)
+		},
+		Surface: {		// Shallow DOM depth (*1a1~10*1a2...)
+			DEP: 3,		// Average depth below this is surface (default: 3)
+			MIN: 4,		// Minimum depth-keyed clicks to judge (default: 4)
+			LVL: 4,		// Bot level (default: 4)
+		},
+	},
+	HUM: {				// Human behavior flag rules, flag digit 1-9: rule or [rules] (default: none)
+						// '!prod *buy>10s' = *buy after page !prod, more than 10s of silence before the click
+						// Steps match in order with anything between: !page !/path *element @mark :s :f5input1 #section (bare symbol = any)
+						// Step suffixes: >N or <N silence before the note (ticks, or N s / N ms), {N} played at least N times
+	}
+};
+
 function tempo(rhythm) { // Tap Event Method Performance Optimizer
 	if (document.tempo) return;
 	document.tempo = true;
+	const off = []; // Teardown steps
+	const listen = (type, fn, passive = false) => { document.addEventListener(type, fn, {capture: true, passive}); off.push(() => document.removeEventListener(type, fn, true)); };
 	if ("ontouchstart" in window || navigator.maxTouchPoints > 0) { // Mobile environment detection
 		const pending = new Set(); // Track pending native click blockers
+		const unblock = () => { for (const b of pending) document.removeEventListener("click", b, true); pending.clear(); };
 		let moved = false;
-		document.addEventListener("touchstart", () => {
-			moved = false; for (const b of pending) document.removeEventListener("click", b, true); pending.clear(); // Reset moved
-		}, {capture: true, passive: true});
-		document.addEventListener("touchmove", () => moved = true, {capture: true, passive: true}); // Mark as moved
-		document.addEventListener("touchcancel", () => moved = true, {capture: true, passive: true}); // Mark as cancelled
-		document.addEventListener("touchend", (e) => {
+		listen("touchstart", () => { moved = false; unblock(); }, true); // Reset moved
+		listen("touchmove", () => moved = true, true); // Mark as moved
+		listen("touchcancel", () => moved = true, true); // Mark as cancelled
+		off.push(unblock);
+		listen("touchend", (e) => {
 			if (moved || !e.changedTouches?.[0]) return; // Skip if moved or no touch
 			let once = true;
 			const block = (ev) => { // Block native click once
@@ -123,43 +217,44 @@ function tempo(rhythm) { // Tap Event Method Performance Optimizer
 				if (el.onclick) {el.dispatchEvent(new MouseEvent("click", {bubbles: true, cancelable: true})); break;} // Onclick handler
 				if (!(el = el.parentElement)) break; // Move to parent or exit
 			}
-		}, {capture: true, passive: true});
+		}, true);
 	} else if (rhythm) { // Desktop environment detection
 		let used = false; // Gesture already used
-		document.addEventListener("mousedown", () => used = false, {capture: true}); // Reset on mouse down
-		document.addEventListener("keydown", e => !e.repeat && (e.key === "Enter" || e.key === " ") && (used = false), {capture: true}); // Reset on Enter/Space
-		document.addEventListener("click", e => {
+		listen("mousedown", () => used = false); // Reset on mouse down
+		listen("keydown", e => !e.repeat && (e.key === "Enter" || e.key === " ") && (used = false)); // Reset on Enter/Space
+		listen("click", e => {
 			if (used) return; // Skip if already used
 			used = true;
 			const el = e.target.closest('label')?.control || e.target; // Process once, label to control redirect
 			rhythm.click(el); // desktop RHYTHM integration
-		}, {capture: true});
+		});
 	}
+	return () => { for (const step of off) step(); document.tempo = false; }; // Teardown, tempo() can run again
 }
 // tempo(); // Uncomment for standalone use
 class Beat {
 	constructor(config = {}) { // BEAT core start
-		this.config = { timeUnit: BEAT.TIC, ...config };
+		this.config = { timeUnit: BEAT.TIC, clock: Date.now, ...config }; // Injectable clock for replay and simulation
 		this.notes = [];
-		this.table = {};
-		this.maps = { pages: { ...BEAT.MAP.P }, elements: { ...BEAT.MAP.E } };
-		this.tick = Date.now();
+		this.table = { ...BEAT.DIC }; // Page dictionary seeded with precomputed tokens
+		this.maps = { pages: { ...BEAT.MAP.P }, elements: { ...BEAT.MAP.E }, marks: { ...BEAT.MAP.M } };
+		this.tick = this.config.clock();
+		this.depths = {}; // Deepest resting scroll per container on the current page
+		this.away = null; // Open disengaged state: h, b or i
 	}
-	time() { // Record elapsed time
-		const now = Date.now(), elapsed = Math.floor((now - this.tick) / this.config.timeUnit);
+	time(now = this.config.clock()) { // Record elapsed time, up to now
+		const elapsed = Math.floor((now - this.tick) / this.config.timeUnit);
 		if (elapsed > 0) {
 			this.notes.push(BEAT.TOK.T + elapsed);
 			this.tick = now;
 		}
 	}
 	page(p) { // Generate and record page hash
+		this.depth(); // Previous page's max scroll depth
 		this.time();
-		if (this.maps.pages[p]) return void this.notes.push(BEAT.TOK.P + this.maps.pages[p]); // Pre-mapped pages applied immediately
-		let hash = 5381; // DJB2 hash algorithm
-		for (let i = 0; i < p.length; i++) hash = ((hash << 5) + hash) + p.charCodeAt(i);
-		const chars = '0123456789abcdefghijklmnopqrstuvwxyz', limit = p.length <= 7 ? 3 : p.length <= 14 ? 4 : 5; // Dynamic hash by URL length
-		let result = '', n = Math.abs(hash);
-		for (let j = 0; j < limit; j++) result += chars[n % 36], n = Math.floor(n / 36); // Base36 encoding
+		const mapped = this.maps.pages[p] || this.match(p);
+		if (mapped) return void this.notes.push(BEAT.TOK.P + mapped); // Pre-mapped pages and route patterns applied immediately
+		const result = Beat.hash(p);
 		let token = BEAT.TOK.P + result, dots = ''; // Hash collision handling: add dots(.) in front to ensure uniqueness
 		while (this.table[token] && this.table[token] !== p) dots += BEAT.TOK.L, token = BEAT.TOK.P + dots + result;
 		this.table[token] = p;
@@ -177,84 +272,507 @@ class Beat {
 		}
 		this.notes.push(f);
 	}
-	element(e) { // Record element clicks as a linear DOM depth string
-		if (!e || e.nodeType === 3 && !(e = e.parentElement)) return;
-		this.time();
+	key(e) { // Element key as mapped name or linear DOM depth string
 		const key = e.id ? '#' + e.id : typeof e.className === 'string' && e.className ? '.' + e.className.trim().split(/\s+/)[0] : null;
-		if (key && this.maps.elements[key]) return void this.fold(BEAT.TOK.E + this.maps.elements[key]); // Pre-mapped elements applied immediately
+		if (key && this.maps.elements[key]) return this.maps.elements[key]; // Pre-mapped elements applied immediately
+		const named = BEAT.MAP.ATT && e.closest?.('[' + BEAT.MAP.ATT + ']')?.getAttribute(BEAT.MAP.ATT); // data-beat="name" on element or ancestor
+		if (named) return Beat.code(named);
+		if (BEAT.MAP.FPR) return this.print(e); // Stable fingerprint mode
 		let depth = 0, el = e; // Calculate DOM depth
 		while (el && el !== document.body) depth++, el = el.parentElement;
 		const tag = e.tagName.toLowerCase();
 		let index = 1, prev = e.previousElementSibling;
 		while (prev) prev.tagName.toLowerCase() === tag && index++, prev = prev.previousElementSibling;
-		this.fold(BEAT.TOK.E + depth + tag + index);
+		return depth + tag + index;
+	}
+	element(e) { // Record element clicks as a linear DOM depth string
+		if (!e || e.nodeType === 3 && !(e = e.parentElement)) return;
+		this.time();
+		this.fold(BEAT.TOK.E + this.key(e));
+	}
+	form(action, e) { // Record form field focus (f), edit (e), submit (s) or abandon (a), never values
+		if (!e) return;
+		this.time();
+		this.fold(BEAT.TOK.F + action + this.key(e));
+	}
+	mark(m) { // Record custom event token, repeats fold like elements
+		if (m === undefined || m === null || String(m).trim() === '') return;
+		this.time();
+		this.fold(BEAT.TOK.M + (this.maps.marks[m] || Beat.code(m)));
+	}
+	scroll(e) { // Record resting scroll position of the window (document target) or a scrolling container
+		const win = !e?.tagName || e === document.documentElement || e === document.body;
+		const top = win ? window.scrollY : e.scrollTop, room = win ? document.documentElement.scrollHeight - window.innerHeight : e.scrollHeight - e.clientHeight;
+		const name = win ? '' : this.key(e) + '=', value = BEAT.SCR.PCT ? (room > 0 ? Math.min(100, Math.round(top / room * 100)) : 0) : Math.round(top);
+		this.depths[name] = Math.max(this.depths[name] ?? 0, value);
+		this.time();
+		this.notes.push('^' + name + value + (BEAT.SCR.PCT ? '%' : ''));
+	}
+	depth() { // Write max depth per container on the page (BEAT.SCR.TOP) and start over, true if written
+		const names = BEAT.SCR.TOP ? Object.keys(this.depths) : [];
+		for (const name of names) this.notes.push('^^' + name + this.depths[name] + (BEAT.SCR.PCT ? '%' : ''));
+		this.depths = {};
+		return names.length > 0;
+	}
+	view(e) { // Record section exposure, repeats fold like elements
+		const att = BEAT.EXP.ATT && e.getAttribute(BEAT.EXP.ATT), selector = Object.keys(BEAT.EXP.MAP).find(s => e.matches(s));
+		this.time();
+		this.fold(BEAT.TOK.V + (att ? Beat.code(att) : selector ? BEAT.EXP.MAP[selector] : this.key(e)));
+	}
+	match(p) { // Mapped name for a path with allowed query (Beat.route): exact, or a /:param/* route pattern, parameters and query values as =value
+		const [path, query = ''] = p.split('?'), have = path.split('/');
+		let name = this.maps.pages[path], params = [];
+		if (!name) for (const route in this.maps.pages) { // Patterns in MAP.P order, first match wins
+			const want = route.split('/');
+			if (!/\/[:*]/.test(route) || want.length !== have.length || !want.every((w, i) => w === '*' || w[0] === ':' ? have[i] !== '' : w === have[i])) continue;
+			name = this.maps.pages[route], params = have.filter((h, i) => want[i][0] === ':');
+			break;
+		}
+		if (!name) return null;
+		const decode = s => { try { return decodeURIComponent(s); } catch { return s; } };
+		return [name, ...params.map(decode), ...new URLSearchParams(query).values()].map((x, i) => i ? Beat.code(x) : x).join('=');
+	}
+	state(s, at) { // Record an engagement transition, redundant ones are dropped, true if written
+		const back = {v: 'h', f: 'b', a: 'i'}[s];
+		if (back ? this.away !== back : s !== 'h' ? this.away : this.away === 'h') return false; // h, b, i leave and v, f, a return, hidden outranks blur and idle
+		this.time(at);
+		if (s === 'h' && this.notes[this.notes.length - 1] === BEAT.TOK.S + 'b') this.notes.pop(); // Blur that hid the tab
+		this.notes.push(BEAT.TOK.S + s);
+		this.away = back ? null : s;
+		return true;
 	}
 	flow() { return this.notes.join(''); } // Generate final BEAT string
+	print(e) { // Fingerprint - role + landmark + text length class + nearest id'd ancestor, survives layout changes
+		const marks = {header: 'h', banner: 'h', nav: 'n', navigation: 'n', main: 'm', aside: 'a', complementary: 'a', footer: 'f', contentinfo: 'f', form: 'o', dialog: 'd', search: 's'};
+		let land = '', anchor = '';
+		for (let el = e; el && el !== document.body && !(land && anchor); el = el.parentElement) {
+			land ||= marks[el.getAttribute('role')] || marks[el.tagName.toLowerCase()] || '';
+			if (!anchor && el.id) anchor = Beat.hash('#' + el.id).slice(0, 3); // Hashed, the id itself stays out of the flow
+		}
+		const len = (e.textContent || '').trim().length; // Length class only, text never recorded
+		return Beat.code((e.getAttribute('role') || e.tagName.toLowerCase()).split(' ')[0]) + '-' + land + (len ? len <= 12 ? 's' : len <= 40 ? 'm' : 'l' : '0') + (anchor ? '-' + anchor : '');
+	}
+	static pack(flow) { // Back-reference compression - repeated notes become $id (base36, order of first appearance), lossless
+		const seen = new Map();
+		return flow.replace(Beat.tokens(), t => {
+			if (!seen.has(t)) return seen.set(t, seen.size), t;
+			const ref = '$' + seen.get(t).toString(36);
+			return ref.length < t.length ? ref : t; // Only when shorter
+		});
+	}
+	static unpack(flow) { // Expand $id back-references into the original flow
+		const list = [], seen = new Set();
+		return flow.replace(new RegExp('\\$([0-9a-z]+)|' + Beat.tokens().source, 'g'), (t, id) => {
+			if (id !== undefined) return list[parseInt(id, 36)] ?? t;
+			if (!seen.has(t)) seen.add(t), list.push(t);
+			return t;
+		});
+	}
+	static played(table, flows) { // Dictionary entries of the page tokens in these flows, all a batch needs
+		const tokens = new Set(flows.flatMap(f => Beat.unpack(f).match(Beat.tokens()) || []));
+		return Object.fromEntries(Object.entries(table).filter(([token]) => tokens.has(token)));
+	}
+	static recent(table, path, max) { // Page dictionary with the token of path moved last, only the newest max entries kept
+		const entries = Object.entries(table), at = entries.findIndex(([, p]) => p === path);
+		if (at >= 0) entries.push(...entries.splice(at, 1));
+		return Object.fromEntries(entries.slice(-max));
+	}
+	static tokens() { // Notes that can be referenced - pages, elements, marks, forms, views
+		const T = BEAT.TOK, x = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), stop = x([T.P, T.E, T.T, T.A, T.M, T.F, T.V, T.S, '^', '_', '$'].join(''));
+		return new RegExp('(?:' + x(T.P) + x(T.L) + '*|[' + x(T.E + T.M + T.F + T.V) + '])[^' + stop + ']+', 'g');
+	}
+	static code(m) { // Cookie-safe mark name: only A-Z a-z 0-9 - and %XX escapes, never a BEAT symbol
+		return encodeURIComponent(String(m).trim().replace(/\s+/g, '-')).replace(/[!'()*._~]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+	}
+	static route(loc) { // Location -> page path for page(): pathname or hash route (BEAT.RTE.HSH) plus allowed query keys (BEAT.RTE.QRY)
+		const hash = BEAT.RTE.HSH && /^#!?\//.test(loc.hash || '') ? loc.hash.replace(/^#!?/, '').split('#')[0] : null;
+		const [path, search = ''] = hash ? hash.split('?') : [loc.pathname, (loc.search || '').slice(1)];
+		const query = new URLSearchParams(search), keep = new URLSearchParams();
+		for (const key of BEAT.RTE.QRY) query.has(key) && keep.set(key, query.get(key));
+		return path + (String(keep) ? '?' + keep : '');
+	}
+	static hash(p) { // DJB2 page hash with dynamic length by URL length
+		let hash = 5381; // DJB2 hash algorithm
+		for (let i = 0; i < p.length; i++) hash = ((hash << 5) + hash) + p.charCodeAt(i);
+		const chars = '0123456789abcdefghijklmnopqrstuvwxyz', limit = p.length <= 7 ? 3 : p.length <= 14 ? 4 : 5; // Dynamic hash by URL length
+		let result = '', n = Math.abs(hash);
+		for (let j = 0; j < limit; j++) result += chars[n % 36], n = Math.floor(n / 36); // Base36 encoding
+		return result;
+	}
+	static parse(flow = '') { // Read BEAT string back into typed events (browser and Node), positions refer to the unpacked flow
+		if (flow.includes('$')) flow = Beat.unpack(flow); // Back-referenced flows
+		const TOK = BEAT.TOK, stop = [TOK.P, TOK.E, TOK.T, TOK.A, TOK.M, TOK.F, TOK.V, TOK.S, '^', '_', '$'], events = [], errors = [];
+		let i = 0, at = 0, repeats = null; // Cursor, elapsed ticks, pending fold times
+		const num = () => { const s = i; while (flow[i] >= '0' && flow[i] <= '9') i++; return s < i ? +flow.slice(s, i) : null; };
+		const word = () => { const s = i; while (i < flow.length && !stop.includes(flow[i])) i++; return flow.slice(s, i); };
+		const fail = (pos, message) => { errors.push({pos, message}); while (i < flow.length && !stop.includes(flow[i])) i++; }; // Report and skip to next symbol
+		while (i < flow.length) {
+			const pos = i, c = flow[i++];
+			if (repeats && c !== TOK.A && c !== TOK.E && c !== TOK.M && c !== TOK.F && c !== TOK.V) errors.push({pos: repeats.pos, message: 'Repeat without element'}), repeats = null;
+			if (c === TOK.P) { // Page: !home, !x3n, !..x3n (collision dots)
+				let dots = 0;
+				while (flow[i] === TOK.L) dots++, i++;
+				const [name, ...params] = word().split('='); // Route pattern parameters: !prod=123
+				let values = null;
+				try { values = params.map(decodeURIComponent); } catch {}
+				!name ? fail(pos, 'Empty page name') : !values ? fail(pos, 'Malformed page parameter') : events.push({type: 'page', pos, at, name, collision: dots, params: values});
+			} else if (c === TOK.E) { // Element: *3nav1 (depth + tag + index) or *close (mapped)
+				const name = word(), dom = name.match(/^(\d+)(h[1-6]|[a-z][a-z-]*)(\d+)$/);
+				if (!name) { fail(pos, 'Empty element name'); continue; }
+				events.push({type: 'element', pos, at, name, depth: dom ? +dom[1] : null, tag: dom ? dom[2] : null, index: dom ? +dom[3] : null, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.M) { // Mark: @add-to-cart or @cart (mapped), %XX escaped
+				const code = word();
+				let name = null;
+				try { name = decodeURIComponent(code); } catch {}
+				if (!name) { fail(pos, code ? 'Malformed mark escape' : 'Empty mark name'); repeats = null; continue; }
+				events.push({type: 'mark', pos, at, name, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.F) { // Form: :f5input1 focus, :e edit, :s submit, :a abandon
+				const action = {f: 'focus', e: 'edit', s: 'submit', a: 'abandon'}[flow[i]], name = action ? (i++, word()) : '';
+				if (!name) { fail(pos, action ? 'Empty form field name' : 'Unknown form action'); repeats = null; continue; }
+				const dom = name.match(/^(\d+)(h[1-6]|[a-z][a-z-]*)(\d+)$/);
+				events.push({type: 'form', pos, at, action, name, depth: dom ? +dom[1] : null, tag: dom ? dom[2] : null, index: dom ? +dom[3] : null, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.V) { // View: #pricing section exposure
+				const name = word();
+				if (!name) { fail(pos, 'Empty view name'); repeats = null; continue; }
+				events.push({type: 'view', pos, at, name, repeats: repeats ? repeats.times : []});
+				if (repeats) for (const t of repeats.times) at += t;
+				repeats = null;
+			} else if (c === TOK.S) { // State: |h hidden, |v visible, |b blur, |f focus, |i idle, |a active
+				const state = {h: 'hidden', v: 'visible', b: 'blur', f: 'focus', i: 'idle', a: 'active'}[flow[i]];
+				state ? (events.push({type: 'state', pos, at, state, away: 'hbi'.includes(flow[i])}), i++) : fail(pos, 'Unknown state');
+			} else if (c === TOK.T) { // Time: ~300
+				const value = num();
+				value === null ? fail(pos, 'Missing time value') : (events.push({type: 'time', pos, at, value}), at += value);
+			} else if (c === TOK.A) { // Again: ~13.8.8*buy-1 folds repeated clicks
+				const value = num();
+				if (value === null) { fail(pos, 'Missing repeat time'); repeats = null; continue; }
+				repeats ? repeats.times.push(value) : repeats = {pos, times: [value]};
+			} else if (c === '^') { // Scroll: ^600 window, ^42% of scrollable height, ^3div1=600 container, ^^87% max depth on the page
+				const top = flow[i] === '^';
+				top && i++;
+				const raw = word(), m = raw.match(/^(?:(.+)=)?(\d+)(%?)$/);
+				m ? events.push({type: 'scroll', pos, at, value: +m[2], unit: m[3] ? '%' : 'px', target: m[1] || null, top}) : fail(pos, raw ? 'Malformed scroll value' : 'Missing scroll value');
+			} else if (c === '_' && flow.startsWith('__', i)) { // Cross-tab marker: ___2
+				i += 2;
+				const tab = num();
+				tab === null ? fail(pos, 'Missing tab number') : events.push({type: 'tab', pos, at, tab});
+			} else if (c === '$') { // Back-reference left over by unpack(): no earlier note with this id
+				const id = word();
+				fail(pos, id ? 'Unresolved back-reference $' + id : 'Empty back-reference');
+			} else fail(pos, 'Unexpected character ' + JSON.stringify(c));
+		}
+		if (repeats) errors.push({pos: repeats.pos, message: 'Repeat without element'});
+		return {events, errors};
+	}
+}
+
+class Score { // Signal Classification Of Rhythm Events
+	static classify(session, config = {}) { // Session {device, clicks, scrolls, duration, flow | beat} -> {level, reasons}
+		const events = (session.beat || Score.beat.Beat.parse(session.flow || '')).events, clicks = [], reasons = [];
+		for (const e of events) if (e.type === 'element') { // Expand folded repeats into a click timeline
+			let at = e.at;
+			clicks.push({at, depth: e.depth});
+			for (const t of e.repeats) clicks.push({at: at += t, depth: e.depth});
+		}
+		let level = 0;
+		for (const name in Score.bots) {
+			const found = Score.bots[name](clicks, session, {...SCORE.BOT[name], ...config[name]});
+			if (found && found.level > 0) reasons.push(name + ':' + found.value), level = Math.max(level, found.level);
+		}
+		return {level: Math.min(level, 9), reasons};
+	}
+	static bots = { // Pluggable classifiers: (clicks, session, thresholds) -> {level, value} | null
+		MachineGun(clicks, session, t) { // Rapid clicks
+			let fast = 0;
+			for (let i = 1; i < clicks.length; i++) clicks[i].at - clicks[i - 1].at < t.GAP && fast++;
+			if (!clicks.length && session.clicks >= t.HIT && session.duration < session.clicks * t.GAP) fast = session.clicks; // No flow: average click rate
+			return fast >= t.HIT ? {level: t.LVL * Math.floor(fast / t.HIT), value: fast} : null;
+		},
+		Metronome(clicks, session, t) { // Exact intervals
+			let run = 0, best = 0, gap = -1;
+			for (let i = 1; i < clicks.length; i++) {
+				const g = clicks[i].at - clicks[i - 1].at;
+				run = g > 0 && Math.abs(g - gap) <= t.TOL ? run + 1 : 1, gap = g;
+				best = Math.max(best, run);
+			}
+			return best >= t.RUN ? {level: t.LVL, value: best} : null;
+		},
+		Surface(clicks, session, t) { // Shallow DOM depth
+			const depths = clicks.filter(c => c.depth !== null);
+			if (depths.length < t.MIN) return null;
+			const avg = depths.reduce((s, c) => s + c.depth, 0) / depths.length;
+			return avg < t.DEP ? {level: t.LVL, value: Math.round(avg * 10) / 10} : null;
+		},
+	};
+	static human(session, rules = SCORE.HUM, pages = Score.beat.BEAT.DIC) { // Session {flow | beat} -> human flags [1-9] whose rule matched
+		const {TOK, MAP} = Score.beat.BEAT, FORM = {f: 'focus', e: 'edit', s: 'submit', a: 'abandon'}, notes = [], flags = [];
+		let end = 0, away = null; // Where the previous note stopped sounding, the gap before a note is its hesitation
+		for (const e of (session.beat || Score.beat.Beat.parse(session.flow || '')).events) if (e.type === 'state') { // Time away from the page is no hesitation
+			e.away ? away ??= e.at : away !== null && (end += e.at - away, away = null);
+		} else if (e.type === 'page' || e.type === 'element' || e.type === 'mark' || e.type === 'form' || e.type === 'view') {
+			const repeats = e.repeats || [], token = e.type === 'page' ? TOK.P + TOK.L.repeat(e.collision) + e.name : null;
+			notes.push({...e, token, path: e.path || pages[token] || Object.keys(MAP.P).find(k => MAP.P[k] === e.name), gap: e.at - end, plays: repeats.length + 1}); // Mapped pages match by path or route pattern
+			end = e.at + repeats.reduce((s, t) => s + t, 0);
+		}
+		const hit = (n, step) => n.type === step.type && n.gap > step.over && n.gap < step.under && n.plays >= step.plays && (!step.name || (
+			n.type === 'page' ? (step.name[0] === '/' ? n.path === step.name : n.token === TOK.P + step.name) :
+			n.type === 'form' ? n.action === FORM[step.name[0]] && (step.name.length === 1 || n.name === step.name.slice(1)) : n.name === step.name));
+		for (const flag in rules) if (flag >= 1 && flag <= 9 && [].concat(rules[flag]).some(text => { // Steps in order, earliest note first
+			const steps = Score.rule(text) || [];
+			let i = 0;
+			for (const n of notes) if (i < steps.length && hit(n, steps[i])) i++;
+			return steps.length && i === steps.length;
+		})) flags.push(+flag);
+		return flags;
+	}
+	static rule(text) { // '!prod *buy>10s' -> [{type, name, over, under, plays}] | null when malformed
+		const {BEAT} = Score.beat, types = {[BEAT.TOK.P]: 'page', [BEAT.TOK.E]: 'element', [BEAT.TOK.M]: 'mark', [BEAT.TOK.F]: 'form', [BEAT.TOK.V]: 'view'}, steps = [];
+		const ticks = (n, unit) => Math.round(unit === 's' ? n * 1000 / BEAT.TIC : unit === 'ms' ? n / BEAT.TIC : n);
+		for (const part of String(text).trim().split(/\s+/)) {
+			const m = part.match(/^(.)(.*?)((?:[<>]\d+(?:ms|s)?|\{\d+\})*)$/);
+			if (!m || !types[m[1]] || (types[m[1]] === 'form' && m[2] && !'fesa'.includes(m[2][0]))) return null;
+			const step = {type: types[m[1]], name: m[2], over: -1, under: Infinity, plays: 1};
+			for (const [, op, n, unit, plays] of m[3].matchAll(/([<>])(\d+)(ms|s)?|\{(\d+)\}/g)) plays ? step.plays = +plays : op === '>' ? step.over = ticks(+n, unit) : step.under = ticks(+n, unit);
+			steps.push(step);
+		}
+		return steps;
+	}
+	static get beat() { return typeof Beat !== 'undefined' ? {BEAT, Beat} : require('../beat/beat.js'); } // Browser global or Node module
+}
+
+class Session { // Versioned rhythm_N session string
+	static VERSION = 3; // Written as 'v3' in the second field
+	static INPUT = {t: 'touch', m: 'mouse', k: 'keyboard'}; // Context input letters
+	static PLATFORM = {W: 'Windows', M: 'macOS', L: 'Linux', A: 'Android', I: 'iOS', C: 'Chrome OS'}; // Context UA-CH platform letters, O for any other
+	static encode(s) { // {echo, time, key, device, referrer, campaign, context, scrolls, clicks, duration, flow} -> string
+		return [s.echo || 0, 'v' + Session.VERSION, s.time, s.key || '', s.device, s.referrer, s.campaign || '0', s.context || '0', s.scrolls, s.clicks, s.duration, s.flow || ''].join('_');
+	}
+	static decode(raw, tic = 100) { // Any known format -> {echo, version, time, key, ..., campaign, context, ..., flow, security} | null
+		const p = raw ? raw.split('_') : [];
+		if (p.length < 9) return null;
+		if (/^v\d+$/.test(p[1])) { // Versioned schema
+			const version = +p[1].slice(1), c = (version > 1) + (version > 2); // v2 added the campaign field after referrer, v3 the context field after campaign
+			if (version > Session.VERSION || p.length < 9 + c) return null; // Written by a newer build, leave it alone
+			return {echo: +p[0], version, time: +p[2], key: p[3], device: +p[4], referrer: +p[5], campaign: c ? p[6] : '0', context: c > 1 ? p[7] : '0', scrolls: +p[6 + c], clicks: +p[7 + c], duration: +p[8 + c], flow: p.slice(9 + c).join('_'), security: 0};
+		}
+		if (p[1].length === 1) { // Legacy rhythm.js: ping 1 meant transmitted, times in seconds
+			const s = 1000 / tic;
+			return {echo: p[0] === '1' ? 2 : 0, version: 0, time: Math.floor(p[5] * s), key: '', device: +p[3], referrer: +p[4], campaign: '0', context: '0', scrolls: +p[8], clicks: +p[7], duration: Math.floor(p[6] * s), flow: p.slice(9).join('_'), security: +p[1]};
+		}
+		return {echo: +p[0], version: 0, time: +p[1], key: p[2], device: +p[3], referrer: +p[4], campaign: '0', context: '0', scrolls: +p[5], clicks: +p[6], duration: +p[7], flow: p.slice(8).join('_'), security: 0}; // Legacy fullscore.js
+	}
+	static upgrade(raw, tic = 100) { // Rewrite an old-format string in the current schema, anything else is returned as is
+		const s = Session.decode(raw, tic);
+		return s && s.version < Session.VERSION ? Session.encode(s) : raw;
+	}
+	static context(code, bounds = [480, 768, 1024, 1440]) { // '3menW0' -> {viewport, input, language, platform, mobile} | null, bounds as in RHYTHM.VPW
+		const m = String(code).match(/^(\d)([tmk])([a-z]{0,3})(?:([A-Z])([01]))?$/);
+		if (!m) return null; // 0 or unreadable
+		const i = +m[1], viewport = !i ? '<' + bounds[0] : i < bounds.length ? bounds[i - 1] + '-' + bounds[i] : bounds[bounds.length - 1] + '+';
+		return {viewport, input: Session.INPUT[m[2]], language: m[3] || null, platform: m[4] ? Session.PLATFORM[m[4]] || 'other' : null, mobile: m[5] ? m[5] === '1' : null}; // null: not sent
+	}
 }
 
 class Rhythm {
-	constructor() { // RHYTHM engine start
+	constructor(options = {}) { // RHYTHM engine start: new Rhythm({clock, random}) replays deterministically
+		this.clock = options.clock || Date.now; // Milliseconds source
+		this.random = options.random || Math.random; // [0, 1) source for session keys
 		this.hasBeat = typeof Beat !== 'undefined';
 		this.hasTempo = typeof tempo !== 'undefined';
+		this.hasScore = typeof Score !== 'undefined';
 		this.ended = false;
+		this.live = false; // Recording between start() and stop()
+		this.listeners = []; // Registered listeners for teardown
+		this.watchers = options.watchers || []; // onScore() subscribers, FullScore shares its list so they outlive consent changes
+		this.flags = null; // Score digits last reported to watchers
 		this.tail = '; Path=/; Max-Age=' + RHYTHM.AGE + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : ''); // Session retention period (default: 3 days)
+		this.upgrade(); // Sessions written by older builds
 		if (!this.get('score')) { // Browser session orchestrator
 			this.clean(); // Remove echo=2 completed sessions
 			this.batch(); // Batch sessions to edge or custom endpoints
 			let key = '';
-			for (let i = 0; i < RHYTHM.KEY; i++) key += '0123456789abcdefghijklmnopqrstuvwxyz'[Math.random() * 36 | 0];
-			const time = Math.floor(Date.now() / RHYTHM.TIC); // Time (default: 100ms)
+			for (let i = 0; i < RHYTHM.KEY; i++) key += '0123456789abcdefghijklmnopqrstuvwxyz'[this.random() * 36 | 0];
+			const time = Math.floor(this.clock() / RHYTHM.TIC); // Time (default: 100ms)
 			document.cookie = 'score=0000000000_' + time + '_' + key + '___; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+			document.cookie = 'rhythm_sig=; Max-Age=0; Path=/'; // Integrity token of the previous score, the edge signs the new one
 		} // Score fields modified by edge worker analyzing BEAT patterns to identify bot vs human behaviors ([0] bot security level, [1-9] human behavior flags)
 		this.score = this.get('score'); // Store current score
 		const parts = this.score.split('_');
 		this.time = +parts[1];
 		this.key = parts[2];
+		if (!this.enforce()) return; // Blocked instance never starts
 		this.session(); // Session management
-		this.hasTempo ? tempo(this) : document.addEventListener('click', e => this.click(e.target), {capture: true}); // Tempo integration
+		this.start(); // Cue the performance
+	}
+	start() { // Attach listeners and record, resumes after stop()
+		if (this.live || this.destroyed || !this.enforce()) return this; // A level raised while stopped is enforced on resume
+		this.live = true;
+		this.ended = false;
+		this.hasTempo ? (this.untempo = tempo(this)) : this.listen(document, 'click', e => this.click(e.target), {capture: true}); // Tempo integration
 		this.scrolling = false; // Debounce to count once per scroll gesture
-		document.addEventListener('scroll', () => { // BEAT Scroll position tracking addon (default: false)
+		this.listen(document, 'scroll', e => { // BEAT Scroll position tracking addon (default: false)
 			this.data || this.session();
 			if (!this.scrolling) this.scrolling = true, this.data.scrolls++, this.save(); // Count and save immediately
 			clearTimeout(this.s), this.s = setTimeout(() => {
-				this.hasBeat && RHYTHM.ADD.SCR && (this.beat.time(), this.beat.notes.push('^' + Math.round(window.scrollY))); // Record final scroll position
+				this.hasBeat && RHYTHM.ADD.SCR && this.beat.scroll(e.target); // Record final scroll position of the window or container
 				this.scrolling = false;
 			}, 150); // Reset after 150ms
 		}, {capture: true, passive: true});
 		RHYTHM.ADD.SPA && this.spa(); // Single Page Application addon (default: false)
-		const end = () => { // RHYTHM engine stop
-			if (this.ended) return; this.ended = true; // Prevent duplicate execution
-			if (RHYTHM.DEL > 0) {
-				for (let i = 1; i <= RHYTHM.MAX; i++) {
-					const name = 'rhythm_' + i;
-					const ses = this.get(name);
-					if (ses && +(ses.split('_')[6] || 0) < RHYTHM.DEL) { // Session deletion criteria (default: 1 clicks)
-						document.cookie = name + '=; Max-Age=0; Path=/';
-						if (name === window.name) this.data = null, this.beat = null, window.name = '';
-					}
+		RHYTHM.ADD.FRM && this.hasBeat && this.form(); // BEAT Form interaction addon (default: false)
+		RHYTHM.ADD.EXP && this.hasBeat && this.expose(); // BEAT Section exposure addon (default: false)
+		RHYTHM.ADD.VIS && this.hasBeat && this.engage(); // BEAT Engagement state addon (default: false)
+		RHYTHM.ADD.POW && this.listen(document, 'visibilitychange', () => document.visibilityState === 'hidden' && this.end(), { capture: true });
+		this.listen(window, 'pagehide', () => this.end(), { capture: true }); // All pagehide events trigger termination check
+		this.listen(window, 'focus', () => this.heard()); // Cross-tab score changes: another tab or its refresh may have retuned the score
+		this.listen(document, 'visibilitychange', () => document.visibilityState === 'visible' && this.heard(), { capture: true });
+		window.cookieStore && this.listen(cookieStore, 'change', e => [...e.changed, ...e.deleted].some(c => c.name === 'score') && this.heard()); // Immediate where the Cookie Store API exists
+		this.heard(); // Baseline, or report changes made while stopped
+		return this;
+	}
+	stop() { // Pause recording: save the session, remove every listener and restore history
+		if (!this.live) return this;
+		this.data && this.save(); // Session stays echo=0 and resumes with start()
+		this.live = false;
+		for (const [target, type, fn, options] of this.listeners) target.removeEventListener(type, fn, options);
+		this.listeners = [];
+		clearTimeout(this.s);
+		this.untempo?.(), this.untempo = null; // TEMPO listeners and document.tempo
+		for (const name in this.patched) if (history[name] === this.patched[name][1]) history[name] = this.patched[name][0]; // Leave later patches by other scripts alone
+		this.patched = null;
+		this.viewer?.disconnect(), this.viewer = null; // EXP observer and its pending exposures
+		for (const t of this.views?.values() || []) clearTimeout(t);
+		clearTimeout(this.idle), this.idle = null; // VIS idle check
+		clearTimeout(this.rehear), this.rehear = null; // Late listen for an aborted refresh
+		clearTimeout(this.enforcing), this.enforcing = null; // Pending enforcement of a new bot level
+		return this;
+	}
+	flush() { // Batch every session to the echo endpoints now
+		this.batch(true);
+		return this;
+	}
+	destroy() { // Stop for good, the instance cannot start again
+		this.stop();
+		this.destroyed = true;
+		this.data = null, this.beat = null;
+		return this;
+	}
+	end() { // RHYTHM engine stop
+		if (this.ended) return; this.ended = true; // Prevent duplicate execution
+		if (this.hasBeat && this.beat?.depth() && this.data) this.save(); // Last page's max scroll depth
+		if (this.forms?.size && this.data) this.abandon(), this.save(); // Forms left without submit
+		if (RHYTHM.DEL > 0) {
+			for (let i = 1; i <= RHYTHM.MAX; i++) {
+				const name = 'rhythm_' + i;
+				const ses = this.get(name);
+				if (ses && (Session.decode(ses, RHYTHM.TIC)?.clicks || 0) < RHYTHM.DEL) { // Session deletion criteria (default: 1 clicks)
+					document.cookie = name + '=; Max-Age=0; Path=/';
+					if (name === window.name) this.data = null, this.beat = null, window.name = '';
 				}
 			}
-			if (RHYTHM.ADD.POW) return this.batch(true); // Immediate batch on visibility change (default: false)
-			const ses = this.get(window.name);
-			if (ses && ses[0] === '0') document.cookie = window.name + '=1' + ses.slice(1) + this.tail;
-			setTimeout(() => /rhythm_\d+=0/.test(document.cookie) || this.batch(true), 1); // Batch confirmed
-		};
-		RHYTHM.ADD.POW && document.addEventListener('visibilitychange', () => document.visibilityState === 'hidden' && end(), { capture: true });
-		window.addEventListener('pagehide', end, { capture: true }); // All pagehide events trigger termination check
+		}
+		if (RHYTHM.ADD.POW) return this.batch(true); // Immediate batch on visibility change (default: false)
+		const ses = this.get(window.name);
+		if (ses && ses[0] === '0') document.cookie = window.name + '=1' + ses.slice(1) + this.tail;
+		setTimeout(() => /rhythm_\d+=0/.test(document.cookie) || this.batch(true), 1); // Batch confirmed
+	}
+	listen(target, type, fn, options) { // Add listener and remember it for teardown
+		target.addEventListener(type, fn, options);
+		this.listeners.push([target, type, fn, options]);
 	}
 	click(el) { // Click action and cookie refresh
+		if (!this.live) return el; // Paused, a TEMPO shared with another instance may still tap
 		this.data || this.session();
 		this.data.clicks++;
 		if (this.hasBeat) this.beat.element(el);
 		this.save();
 		if (this.data.clicks % RHYTHM.TAP === 0) { // After first request, abort others to save bandwidth
+			RHYTHM.ADD.BOT && this.hasScore && this.hasBeat && this.judge(); // SCORE Local bot classification (default: false)
+			if (this.quiet) return el; // RHYTHM.SEC Suspected bots no longer livestream
 			const ctrl = new AbortController();
 			fetch(location.origin + (RHYTHM.HIT === '/' ? '' : RHYTHM.HIT) + '/?livestreaming', // Session activation and cookie resonance path (default: '/rhythm')
-				{method: 'HEAD', signal: ctrl.signal, credentials: 'include', redirect: 'manual', keepalive: true}).catch(() => {}); // Abort+keepalive trick fires and forgets with guaranteed delivery
+				{method: 'HEAD', signal: ctrl.signal, credentials: 'include', redirect: 'manual', keepalive: true}).then(() => this.heard(), // Abort+keepalive trick fires and forgets with guaranteed delivery, the response may retune the score
+					() => ctrl.signal.aborted && (clearTimeout(this.rehear), this.rehear = setTimeout(() => this.live && this.heard(), 1000))); // Aborted before the Set-Cookie came back, listen again once the kept-alive request has landed
 			if (this.data.clicks > RHYTHM.TAP) setTimeout(() => ctrl.abort(), RHYTHM.THR); // Session refresh cycle (default: 3 clicks)
 		}
 		return el;
 	}
+	mark(name) { // Record custom business event in the BEAT flow: rhythm.mark('add-to-cart')
+		if (!this.live) return;
+		this.data || this.session();
+		if (this.hasBeat) this.beat.mark(name);
+		this.save();
+	}
+	judge() { // SCORE Local bot classification addon (default: false)
+		const current = this.get('score') || this.score;
+		try { if (localStorage.getItem('rhythm_pass') === current.split('___')[0].slice(11)) return; } catch {} // Challenge solved for this score
+		const level = Score.classify({...this.data, duration: Math.floor(this.clock() / RHYTHM.TIC) - this.data.time, flow: this.beat.flow()}).level;
+		if (level <= +current[0]) return; // Bot level only rises locally, the edge may lower it
+		this.score = level + current.slice(1);
+		document.cookie = 'score=' + this.score + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+		this.heard();
+	}
+	enforce() { // RHYTHM Graded bot enforcement from score[0] (RHYTHM.SEC), false when blocked
+		const level = +(this.get('score') || this.score || '0')[0] || 0, sec = RHYTHM.SEC;
+		const exempt = sec.ALW.some(a => a[0] === '/' ? location.pathname.startsWith(a) : navigator.userAgent.includes(a));
+		this.quiet = !exempt && level >= sec.QUI;
+		if (exempt || level < sec.CHA) return true;
+		if (level >= sec.BLK) {
+			this.destroy();
+			if (RHYTHM.DEF && location.pathname !== RHYTHM.DEF) window.location.href = RHYTHM.DEF; // Send to prison
+			return false;
+		}
+		if (sec.HOK && !this.challenged) this.challenged = true, sec.HOK(level, proof => this.pass(proof));
+		return true;
+	}
+	pass(proof) { // Clear the bot verdict after a solved challenge, local classification leaves this score alone and the edge checks the proof
+		const current = this.get('score') || this.score;
+		try { localStorage.setItem('rhythm_pass', current.split('___')[0].slice(11)); } catch {} // time_key of the score
+		this.challenged = false, this.quiet = false;
+		this.score = '0' + current.slice(1);
+		document.cookie = 'score=' + this.score + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+		this.heard();
+		fetch(location.origin + (RHYTHM.HIT === '/' ? '' : RHYTHM.HIT) + '/pass', // Edge pass ticket, its own verdict stays at 0 for this score (EDGE.PAS)
+			{method: 'POST', body: proof == null ? '' : String(proof), credentials: 'include', keepalive: true}).catch(() => {}).then(() => this.heard());
+		return this;
+	}
+	onScore(fn, digit) { // rhythm.onScore((flags, prev, changed) => ...) -> unsubscribe, a digit 0-9 limits it to that flag
+		const watcher = [fn, digit];
+		this.watchers.push(watcher);
+		return () => { const i = this.watchers.indexOf(watcher); i >= 0 && this.watchers.splice(i, 1); };
+	}
+	heard() { // Report score digit changes to onScore watchers: refresh responses, local rules and other tabs
+		const flags = (this.get('score') || this.score || '').slice(0, 10), prev = this.flags;
+		this.flags = flags;
+		if (prev === null || flags === prev || !/^\d{10}$/.test(flags)) return; // First listen is the baseline
+		const changed = [];
+		for (let i = 0; i < 10; i++) flags[i] !== prev[i] && changed.push(i); // Per-digit changes
+		changed.includes(0) && (clearTimeout(this.enforcing), this.enforcing = setTimeout(() => this.live && this.enforce())); // New bot level, enforced once the current note is saved
+		for (const [fn, digit] of this.watchers.slice()) {
+			if (digit !== undefined && !changed.includes(digit)) continue;
+			try { fn(flags, prev, changed); } catch (e) { console.error(e); } // One failing watcher never stops the music
+		}
+	}
+	sense() { // SCORE Local human behavior flags from SCORE.HUM rules (default: none)
+		const current = this.get('score') || this.score, flags = current.slice(0, 10).split('');
+		if (!Object.keys(SCORE.HUM).length) return;
+		for (const flag of Score.human({flow: this.beat.flow()}, SCORE.HUM, this.beat.table)) flags[flag] = '1';
+		if (flags.join('') === current.slice(0, 10)) return; // Flags only rise locally, the edge may clear them
+		this.score = flags.join('') + current.slice(10);
+		document.cookie = 'score=' + this.score + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+	}
+	upgrade() { // Rewrite unversioned rhythm_N cookies in the current session schema
+		for (let i = 1; i <= RHYTHM.MAX; i++) {
+			const name = 'rhythm_' + i, ses = this.get(name), save = Session.upgrade(ses, RHYTHM.TIC);
+			if (save !== ses) document.cookie = name + '=' + save + this.tail;
+		}
+	}
 	get(g) { // Get cookie
 		const c = '; ' + document.cookie + ';', i = c.indexOf('; ' + g + '=');
 		return i < 0 ? null : c.slice(i + g.length + 3, c.indexOf(';', i + g.length + 3));
@@ -284,7 +802,10 @@ class Rhythm {
 				document.cookie = updated + this.tail;
 				updates.push(updated);
 			}
-			const data = updates.join('');
+			let pages = null;
+			try { pages = Beat.played({ ...JSON.parse(localStorage.getItem('rhythm_pages')), ...this.beat?.table }, updates.map(u => Session.decode(u.slice(u.indexOf('=') + 1), RHYTHM.TIC)?.flow || '')); } catch {} // Only the pages these flows played
+			const sig = this.get('rhythm_sig'); // Edge integrity token travels with the sessions it signed
+			const data = updates.join('') + (pages && Object.keys(pages).length ? '\nrhythm_pages=' + new URLSearchParams(pages) : '') + (sig ? '\nrhythm_sig=' + sig : ''); // Page dictionary lets the backend resolve hashes
 			for (const echo of RHYTHM.ECO) { // Session endpoint and batch signal (default: '/rhythm/echo')
 				const url = echo[0] === 'h' ? echo : location.origin + echo;
 				navigator.sendBeacon(url, data) || fetch(url, {method: 'POST', body: data, keepalive: true}).catch(() => {}); // Send with fallback
@@ -295,18 +816,17 @@ class Rhythm {
 	session(force = false) { // Session management
 		if (!force) {
 			if (window.name.startsWith('rhythm_')) { // Page restoration using window.name
-				const ses = this.get(window.name);
+				const ses = Session.decode(this.get(window.name), RHYTHM.TIC);
 				if (ses) { // Restore existing session
-					const parts = ses.split('_');
-					const flow = parts.slice(8).join('_'); // Extract BEAT flow from session
-					this.data = {name: window.name, time: +parts[1], key: parts[2], device: +parts[3], referrer: +parts[4], scrolls: +parts[5], clicks: +parts[6]}; // Convert string to object
+					const flow = ses.flow; // Extract BEAT flow from session
+					this.data = {name: window.name, time: ses.time, key: ses.key, device: ses.device, referrer: ses.referrer, campaign: ses.campaign, context: ses.context, scrolls: ses.scrolls, clicks: ses.clicks}; // Convert string to object
 					if (this.hasBeat) {
-						this.beat = new Beat();
+						this.beat = new Beat({clock: this.clock});
 						if (flow) {
-							this.beat.notes = [flow];
-							this.beat.tick = Date.now(); // Initialize timing
+							this.beat.notes = [Beat.unpack(flow)];
+							this.beat.tick = this.clock(); // Initialize timing
 						}
-						this.beat.page(location.pathname); // Add current page to BEAT
+						this.page(); // Add current page to BEAT
 					}
 					this.save(); // Save updated session
 					return;
@@ -324,30 +844,59 @@ class Rhythm {
 		if (!name) { // If all sessions in use
 			this.batch(true); 
 			this.data = null; // Cookie-based leader election without coordination overhead
-			const newTime = Math.floor(Date.now() / RHYTHM.TIC);
+			const newTime = Math.floor(this.clock() / RHYTHM.TIC);
 			document.cookie = 'score=' + this.score.split('_')[0] + '_' + newTime + '_' + this.key + '___; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : ''); // New score signal
+			document.cookie = 'rhythm_sig=; Max-Age=0; Path=/'; // Signed for the previous score time, the edge signs the new one
 			this.time = newTime;
 			name = 'rhythm_1';
 		}
 		window.name = name; // Store session name in window.name
-		const ua = navigator.userAgent; // User agent for device detection
+		const ua = navigator.userAgent; // User agent for device detection, UA-CH and touch points where UA strings are frozen or desktop-like (iPadOS)
 		const ref = document.referrer; // Referrer URL for traffic source analysis
 		const domain = ref?.match(/^https?:\/\/([^\/]+)/)?.[1] || ''; // Parse hostname from referrer URL
 		let index = !ref ? 0 : domain === location.hostname ? 1 : 2;
 		if (index === 2 && domain) for (const key in RHYTHM.REF) if (domain === key || domain.endsWith('.' + key)) { index = RHYTHM.REF[key]; break; } // Referrer mapping (0=direct, 1=internal, 2=unknown, 3-255=specific domains)
-		this.data = {name: name, time: this.time, key: this.key, device: /mobi/i.test(ua) ? 1 : /tablet|ipad/i.test(ua) ? 2 : 0, referrer: index, scrolls: 0, clicks: 0}; // Create new session
+		const campaign = this.data?.campaign || this.campaign(); // Landing attribution, a rotated session keeps it
+		this.data = {name: name, time: this.time, key: this.key, device: navigator.userAgentData?.mobile || /mobi/i.test(ua) ? 1 : /tablet|ipad|android/i.test(ua) || /macintosh/i.test(ua) && navigator.maxTouchPoints > 1 ? 2 : 0, referrer: index, campaign, context: this.context(), scrolls: 0, clicks: 0}; // Create new session
 		if (this.hasBeat) {
-			this.beat = new Beat(); // Create new BEAT instance
-			this.beat.page(location.pathname);
+			this.beat = new Beat({clock: this.clock}); // Create new BEAT instance
+			this.page();
 		}
 		this.save();
 	}
+	campaign() { // RHYTHM.UTM codes of the landing URL: s source, m medium, c campaign, k click ID bits -> 's3m1c0k1' | '0'
+		const query = new URLSearchParams(location.search), utm = RHYTHM.UTM;
+		let code = '';
+		if (RHYTHM.ADD.UTM) for (const [letter, key, table] of [['s', 'utm_source', utm.SRC], ['m', 'utm_medium', utm.MED], ['c', 'utm_campaign', utm.CMP]]) {
+			const value = query.get(key)?.trim().toLowerCase();
+			if (value) code += letter + (table[value] || 0);
+		}
+		const bits = RHYTHM.ADD.UTM ? utm.CID.reduce((n, id, i) => query.has(id) ? n | 1 << i : n, 0) : 0;
+		return code + (bits ? 'k' + bits.toString(36) : '') || '0';
+	}
+	context() { // Viewport bucket, input, language family and UA-CH platform with mobile bit -> '3men' | '3menW0' | '0'
+		if (!RHYTHM.ADD.CTX) return '0';
+		const width = window.innerWidth || document.documentElement.clientWidth || 0, hints = navigator.userAgentData; // Client Hints, Chromium browsers only
+		const input = 'ontouchstart' in window || navigator.maxTouchPoints > 0 ? 't' : window.matchMedia?.('(pointer: none)').matches ? 'k' : 'm'; // Same touch detection as tempo()
+		const language = (navigator.language || '').split('-')[0].toLowerCase();
+		const platform = hints ? (Object.keys(Session.PLATFORM).find(k => Session.PLATFORM[k] === hints.platform) || 'O') + (hints.mobile ? 1 : 0) : '';
+		return RHYTHM.VPW.filter(b => width >= b).length + input + (/^[a-z]{2,3}$/.test(language) ? language : '') + platform;
+	}
+	page() { // Record current page with the page dictionary shared across page loads and tabs
+		this.forms?.size && this.abandon(); // SPA navigation leaves touched forms behind
+		try { this.beat.table = { ...JSON.parse(localStorage.getItem('rhythm_pages')), ...this.beat.table }; } catch {} // Restore collision tokens
+		this.route = Beat.route(location); // Last recorded route, SPA navigation within it is no page change
+		this.beat.page(this.route);
+		try { localStorage.setItem('rhythm_pages', JSON.stringify({ ...Beat.recent(this.beat.table, this.route, RHYTHM.PGS), ...Beat.played(this.beat.table, [this.beat.flow()]) })); } catch {} // Bounded, stale pages age out unless this flow played them
+		this.viewer && setTimeout(() => this.watch(), 100); // Sections of a new SPA route render after pushState
+	}
 	save() { // Save session data to cookie
 		const current = this.get('score') || this.score;
 		if (+current.split('_', 2)[1] !== +this.score.split('_', 2)[1]) { // Score change detection
 			this.score = current;
 			this.data = null; // Follow the new time signal from leader
 			this.session(true);
+			this.heard();
 			return; // Restart with fresh session
 		}
 		const number = window.name.slice(7);
@@ -370,7 +919,7 @@ class Rhythm {
 		if (this.hasBeat && RHYTHM.ADD.TAB) { // BEAT Cross-tab tracking addon (default: true)
 			const ses = this.get(window.name);
 			if (ses && ses[0] === '0') {
-				const flow = ses.split('_').slice(8).join('_');
+				const flow = Beat.unpack(Session.decode(ses, RHYTHM.TIC).flow);
 				if (flow.match(/___\d+$/)) { // Tab switch marker detected
 					const mem = this.beat.flow();
 					let i = 0;
@@ -379,33 +928,212 @@ class Rhythm {
 				}
 			}
 		}
-		const save = [0, this.data.time, this.data.key, this.data.device, this.data.referrer, this.data.scrolls, this.data.clicks, Math.floor(Date.now() / RHYTHM.TIC) - this.data.time, this.beat?.flow() || ''].join('_'); // Build session string
+		this.hasScore && this.hasBeat && this.sense(); // SCORE Local human behavior flags (SCORE.HUM)
+		const flow = this.beat?.flow() || '';
+		const save = Session.encode({...this.data, duration: Math.floor(this.clock() / RHYTHM.TIC) - this.data.time, flow: RHYTHM.ADD.PAK && flow ? Beat.pack(flow) : flow}); // Build session string
 		document.cookie = this.data.name + '=' + save + this.tail;
 		if (save.length > RHYTHM.CAP) { // Maximum session capacity (default: 3500 bytes)
 			document.cookie = this.data.name + '=' + ('1' + save.slice(1)) + this.tail; // Mark as echo=1
-			return void this.session(true); // Rotate session if capacity exceeded
+			this.session(true); // Rotate session if capacity exceeded
 		}
+		this.heard(); // Score cookie may have changed since the last note
+	}
+	form() { // BEAT Form interaction addon (default: false)
+		this.forms = new Set(); // Touched forms not yet submitted
+		const field = e => { const el = e.target?.closest?.('input, textarea, select'); return el && !el.matches(RHYTHM.PRV) ? el : null; }; // Private fields never recorded
+		const note = (action, el) => {
+			this.data || this.session();
+			el.form && this.forms.add(el.form);
+			this.beat.form(action, el);
+			this.save();
+		};
+		this.listen(document, 'focusin', e => { const el = field(e); el && note('f', el); }, {capture: true}); // Field focus
+		this.listen(document, 'change', e => { const el = field(e); el && note('e', el); }, {capture: true}); // Field edited, value itself ignored
+		this.listen(document, 'submit', e => { // Form submit
+			if (!e.target?.tagName) return;
+			this.data || this.session();
+			this.forms.delete(e.target);
+			this.beat.form('s', e.target);
+			this.save();
+		}, {capture: true});
+	}
+	expose() { // BEAT Section exposure addon (default: false)
+		if (typeof IntersectionObserver === 'undefined') return;
+		const min = BEAT.EXP.MIN / 100, shown = new WeakSet(); // Counted sections stay quiet until they leave the viewport
+		this.views = new Map(); // Pending exposure timers per section
+		this.viewer = new IntersectionObserver(entries => {
+			for (const e of entries) {
+				const visible = e.isIntersecting && (e.intersectionRatio >= min || !!e.rootBounds && e.intersectionRect.height >= e.rootBounds.height * min); // Tall sections count by viewport share
+				if (!visible) { clearTimeout(this.views.get(e.target)), this.views.delete(e.target), shown.delete(e.target); continue; }
+				if (shown.has(e.target) || this.views.has(e.target)) continue;
+				this.views.set(e.target, setTimeout(() => {
+					this.views.delete(e.target), shown.add(e.target);
+					this.data || this.session();
+					this.beat.view(e.target);
+					this.save();
+				}, BEAT.EXP.DUR));
+			}
+		}, {threshold: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, min]});
+		this.watch();
+	}
+	engage() { // BEAT Engagement state addon: |h |v tab visibility, |b |f window focus, |i |a idle
+		const note = (s, at) => { this.data || this.session(); this.beat.state(s, at) && this.save(); }; // Saving right away lets TAB set ___N after the |h of the tab left behind
+		const check = () => { // Idle once BEAT.VIS.IDL passed without input, backdated to the last input
+			const left = this.input + BEAT.VIS.IDL - this.clock();
+			left > 0 ? this.idle = setTimeout(check, left) : (this.idle = null, note('i', this.input));
+		};
+		const wake = () => { this.input = this.clock(); BEAT.VIS.IDL && !this.idle && check(); };
+		this.listen(document, 'visibilitychange', () => document.visibilityState === 'hidden' ? note('h') : (note('v'), wake()), { capture: true });
+		this.listen(window, 'blur', () => note('b'));
+		this.listen(window, 'focus', () => (note('f'), wake()));
+		for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll']) this.listen(document, type, () => (this.beat?.away === 'i' && note('a'), wake()), { capture: true, passive: true });
+		wake();
+	}
+	watch() { // Observe sections named by BEAT.EXP.ATT or listed in BEAT.EXP.MAP
+		const selectors = [...Object.keys(BEAT.EXP.MAP), BEAT.EXP.ATT && '[' + BEAT.EXP.ATT + ']'].filter(Boolean);
+		if (this.viewer && selectors.length) for (const el of document.querySelectorAll(selectors.join(','))) this.viewer.observe(el);
+	}
+	abandon() { // Record touched forms left without submit
+		for (const f of this.forms) this.beat?.form('a', f);
+		this.forms.clear();
 	}
 	spa() { // Single Page Application addon (default: false)
 		const self = this;
 		const push = history.pushState;
 		const replace = history.replaceState;
+		const moved = () => { // Every signal of one navigation lands here, the page is noted once per route change (BEAT.RTE)
+			if (!self.live) return;
+			if (self.hasBeat && self.beat && Beat.route(location) !== self.route) self.page();
+			self.save();
+		};
 		history.pushState = function(state, title, url) { // Detect browser page navigation
 			push.call(history, state, title, url);
-			if (self.hasBeat && self.beat) self.beat.page(location.pathname);
-			self.save();
+			moved();
 		};
 		history.replaceState = function(state, title, url) { // Detect browser filter/query changes etc.
 			replace.call(history, state, title, url);
-			if (self.hasBeat && self.beat) self.beat.page(location.pathname);
-			self.save();
+			moved();
 		};
-		window.addEventListener('popstate', () => { // Detect browser forward/back buttons
-			if (self.hasBeat && self.beat) self.beat.page(location.pathname);
-			self.save();
-		});
+		this.patched = {pushState: [push, history.pushState], replaceState: [replace, history.replaceState]}; // Originals restored by stop()
+		this.listen(window, 'popstate', moved); // Detect browser forward/back buttons
+		this.listen(window, 'hashchange', moved); // Hash routers and in-page anchors
+		window.navigation && this.listen(navigation, 'currententrychange', moved); // Navigation API: router navigations that never touch the patched history
 	}
 }
 
-document.addEventListener('DOMContentLoaded', () => new Rhythm()); // Cue the performance
+const FullScore = { // Runtime configuration without editing the constants above
+	script: document.currentScript, // <script src="fullscore.js" data-tap="5" data-add-scr="true" data-eco="/rhythm/echo,https://...">
+	rhythm: null,
+	ready: false,
+	init(options = {}) { // FullScore.init({TAP: 5, ECO: ['/rhythm/echo'], ADD: {SCR: true}, MAP: {P: {'/cart': 'cart'}}})
+		if (this.ready) { console.error('FullScore: init() already called, options ignored'); return this; }
+		this.ready = true;
+		this.set(this.attrs()), this.set(options); // Script tag attributes first, code options win
+		const start = () => this.rhythm || !this.allowed() || (this.rhythm = new Rhythm({watchers: this.watchers})); // Nothing written before consent
+		document.readyState === 'loading' ? document.addEventListener('DOMContentLoaded', start) : start();
+		return this;
+	},
+	allowed() { // Consent gate: stored choice first, then Global Privacy Control and consent mode
+		let choice = null;
+		try { choice = localStorage.getItem('rhythm_consent'); } catch {}
+		if (choice) return choice === '1';
+		if (RHYTHM.GPC && navigator.globalPrivacyControl) return false;
+		return !RHYTHM.CON;
+	},
+	consent(granted = true) { // FullScore.consent(true) starts recording, consent(false) withdraws and erases everything
+		if (!granted) return this.optOut();
+		try { localStorage.setItem('rhythm_consent', '1'); } catch {} // Remember the choice across page loads
+		if (this.ready && !this.rhythm && document.readyState !== 'loading') this.rhythm = new Rhythm({watchers: this.watchers}); // Pending init starts on DOMContentLoaded
+		return this;
+	},
+	optOut() { // Erase every cookie, storage key and window.name marker created by Full Score, stop listening
+		this.rhythm?.destroy(), this.rhythm = null;
+		const secure = location.protocol === 'https:' ? '; Secure' : '';
+		for (const [, name] of document.cookie.matchAll(/(?:^|; )(score|rhythm_[^=;]*)=/g)) { // score, rhythm_N
+			document.cookie = name + '=; Max-Age=0; Path=/; SameSite=Lax' + secure;
+			if (RHYTHM.HIT !== '/') document.cookie = name + '=; Max-Age=0; Path=' + RHYTHM.HIT + '; SameSite=Lax' + secure; // RHYTHM standalone path
+		}
+		try {
+			for (let i = localStorage.length - 1; i >= 0; i--) { // rhythm_N backups, rhythm_pages, rhythm_reset, rhythm_sync_*, t* tab markers
+				const k = localStorage.key(i);
+				if (k?.startsWith('rhythm_') || /^t[0-9a-z]{9,12}$/.test(k) && localStorage.getItem(k) === '1') localStorage.removeItem(k);
+			}
+			if (/^rhythm_\d+$/.test(sessionStorage.getItem('session'))) sessionStorage.removeItem('session');
+		} catch {}
+		if (window.name.startsWith('rhythm_')) window.name = '';
+		try { localStorage.setItem('rhythm_consent', '0'); } catch {} // Only the refusal itself is kept
+		return this;
+	},
+	mark(name) { // FullScore.mark('add-to-cart') records on the running instance
+		this.rhythm?.mark(name);
+	},
+	pass(proof) { // FullScore.pass(token) clears the bot verdict once the challenge is solved
+		this.rhythm?.pass(proof);
+	},
+	watchers: [], // onScore() subscribers handed to every Rhythm instance
+	onScore(fn, digit) { // FullScore.onScore((flags, prev, changed) => ..., 3) works before init and across consent changes
+		const watcher = [fn, digit];
+		this.watchers.push(watcher);
+		return () => { const i = this.watchers.indexOf(watcher); i >= 0 && this.watchers.splice(i, 1); };
+	},
+	attrs() { // Read data-* attributes from the script tag
+		const options = {}, data = this.script?.dataset || {};
+		for (const name in data) {
+			if (name === 'auto') continue; // data-auto="false" waits for FullScore.init()
+			let value = data[name];
+			try { value = JSON.parse(value); } catch {} // Numbers, booleans and JSON maps, plain strings stay as-is
+			const add = name.match(/^add([A-Z]\w*)$/); // data-add-scr="true" -> ADD.SCR
+			if (add) (options.ADD ||= {})[add[1].toUpperCase()] = value;
+			else options[name.toUpperCase()] = name === 'eco' && typeof value === 'string' ? value.split(',') : value;
+		}
+		return options;
+	},
+	set(options) { // Validate and apply options, invalid ones keep their defaults
+		const int = v => Number.isInteger(v) && v >= 0, obj = v => !!v && typeof v === 'object' && !Array.isArray(v), map = v => obj(v) && Object.values(v).every(x => typeof x === 'string');
+		const rules = { // Option: [target objects, check, expectation]
+			TIC: [[BEAT, RHYTHM], v => int(v) && v > 0, 'a positive integer (ms)'],
+			TOK: [[BEAT], v => map(v) && Object.keys(v).every(k => k in BEAT.TOK) && Object.entries({ ...BEAT.TOK, ...v }).every(([k, x], i, all) => // One cookie-octet each, none reserved (^ _ $), only A and L may share
+				/^[!#-+\--:<-\[\]-~]$/.test(x) && !'^_$'.includes(x) && all.every(([j, y], n) => n === i || y !== x || k + j === 'AL' || k + j === 'LA')),
+				'an object of ' + Object.keys(BEAT.TOK).join(', ') + ' symbols, each a distinct cookie-safe character other than ^ _ $ (A and L may match)'],
+			MAP: [[BEAT], v => obj(v) && Object.keys(v).every(k => k === 'ATT' ? typeof v[k] === 'string' : k === 'FPR' ? typeof v[k] === 'boolean' : k in BEAT.MAP && map(v[k])), 'an object like {P: {path: name}, E: {selector: name}, M: {event: name}, ATT: attribute, FPR: boolean}'],
+			DIC: [[BEAT], map, 'an object of token: path'],
+			HIT: [[RHYTHM], v => typeof v === 'string' && v[0] === '/', 'a path starting with /'],
+			ECO: [[RHYTHM], v => Array.isArray(v) && v.every(x => typeof x === 'string' && /^(\/|https?:\/\/)/.test(x)), 'an array of paths or http(s) URLs'],
+			TAP: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (clicks)'],
+			THR: [[RHYTHM], int, 'a non-negative integer (ms)'],
+			PRV: [[RHYTHM], v => typeof v === 'string' && v.trim() !== '', 'a CSS selector of fields never tracked'],
+			KEY: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (chars)'],
+			AGE: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (seconds)'],
+			MAX: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (slots)'],
+			PGS: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (pages)'],
+			CAP: [[RHYTHM], v => int(v) && v > 0, 'a positive integer (bytes)'],
+			DEL: [[RHYTHM], int, 'a non-negative integer (clicks)'],
+			CON: [[RHYTHM], v => typeof v === 'boolean', 'a boolean'],
+			GPC: [[RHYTHM], v => typeof v === 'boolean', 'a boolean'],
+			REF: [[RHYTHM], v => obj(v) && Object.values(v).every(x => int(x) && x >= 3 && x <= 255), 'an object of domain: code (3-255)'],
+			UTM: [[RHYTHM], v => obj(v) && Object.entries(v).every(([k, x]) => k === 'CID' ? Array.isArray(x) && x.every(id => typeof id === 'string' && id) : k in RHYTHM.UTM && obj(x) && Object.values(x).every(c => int(c) && c > 0)), 'an object like {SRC: {source: code}, MED: {medium: code}, CMP: {campaign: code}, CID: [click ID parameters]}'],
+			VPW: [[RHYTHM], v => Array.isArray(v) && v.length > 0 && v.length <= 9 && v.every((x, i) => int(x) && x > (i ? v[i - 1] : 0)), 'an array of 1-9 ascending widths (px)'],
+			ADD: [[RHYTHM], v => obj(v) && Object.keys(v).every(k => k in RHYTHM.ADD && typeof v[k] === 'boolean'), 'an object of ' + Object.keys(RHYTHM.ADD).join(', ') + ' booleans'],
+			EXP: [[BEAT], v => obj(v) && Object.entries(v).every(([k, x]) => k === 'ATT' ? typeof x === 'string' : k === 'MAP' ? map(x) : k in BEAT.EXP && int(x) && (k !== 'MIN' || x <= 100)), 'an object like {ATT: attribute, MAP: {selector: name}, MIN: percent (0-100), DUR: ms}'],
+			SCR: [[BEAT], v => obj(v) && Object.keys(v).every(k => k in BEAT.SCR && typeof v[k] === 'boolean'), 'an object of PCT, TOP booleans'],
+			RTE: [[BEAT], v => obj(v) && Object.entries(v).every(([k, x]) => k === 'QRY' ? Array.isArray(x) && x.every(q => typeof q === 'string' && q) : k === 'HSH' && typeof x === 'boolean'), 'an object like {QRY: [query keys], HSH: boolean}'],
+			VIS: [[BEAT], v => obj(v) && Object.keys(v).every(k => k in BEAT.VIS && int(v[k])), 'an object like {IDL: ms}'],
+			BOT: [[SCORE], v => obj(v) && Object.keys(v).every(k => k in SCORE.BOT && obj(v[k])), 'an object of ' + Object.keys(SCORE.BOT).join(', ') + ' thresholds'],
+			DEF: [[RHYTHM], v => typeof v === 'string' && (v === '' || v[0] === '/'), 'a path starting with / or empty'],
+			SEC: [[RHYTHM], v => obj(v) && Object.entries(v).every(([k, x]) => k === 'ALW' ? Array.isArray(x) && x.every(a => typeof a === 'string' && a) : k === 'HOK' ? x === null || typeof x === 'function' : k in RHYTHM.SEC && int(x) && x >= 1 && x <= 10), 'an object like {QUI: 1, CHA: 4, BLK: 7, ALW: [path or user agent], HOK: (level, pass) => {}}'],
+			HUM: [[SCORE], v => obj(v) && Object.entries(v).every(([k, r]) => /^[1-9]$/.test(k) && [].concat(r).every(x => typeof x === 'string' && Score.rule(x))), 'an object of flag 1-9: rule like \'!prod *buy>10s\''],
+		};
+		for (const key in options) {
+			const rule = rules[key], value = options[key];
+			if (!rule) { console.error('FullScore: unknown option ' + key); continue; }
+			if (!rule[1](value)) { console.error('FullScore: option ' + key + ' must be ' + rule[2] + ', got ' + JSON.stringify(value)); continue; }
+			for (const target of rule[0]) {
+				if (key === 'MAP' || key === 'BOT' || key === 'EXP') for (const k in value) typeof value[k] === 'object' ? Object.assign(target[key][k], value[k]) : target[key][k] = value[k]; // Merge nested maps
+				else target[key] = obj(value) ? { ...target[key], ...value } : value;
+			}
+		}
+	}
+};
+
+document.addEventListener('DOMContentLoaded', () => FullScore.ready || FullScore.script?.dataset.auto === 'false' || FullScore.init()); // Cue the performance
 
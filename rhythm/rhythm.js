@@ -9,24 +9,38 @@
  * Computing, real-time analysis and immediate response happen without any backend
  * servers. Together with Beat, data transmission costs and processing delays drop
  * dramatically, forming a complete ecosystem.
+ *
+ * Requires rhythm/session.js loaded first for the shared session string schema.
+ * The BOT addon also needs beat/beat.js and score/score.js loaded first.
  */
 
 const RHYTHM = { // Real-time Hybrid Traffic History Monitor
-	PIN: [				// Session endpoint (default: '/rhythm/ping')
-		'/rhythm/ping',	// Edge can access cookies directly without webhooks - completely safe, no exposure
+	ECO: [				// Session endpoint (default: '/rhythm/echo', same as fullscore.js)
+		'/rhythm/echo',	// Edge can access cookies directly without webhooks - completely safe, no exposure
 		// 'https://n8n.yourdomain.com/webhook/yourcode' // Secondary: Webhook endpoint (optional fallback)
 		// ⚠️ CAUTION: Webhook URLs are public. Configure IP whitelist on webhook service
 		// 💡 RECOMMENDED: Use reverse proxy (nginx/caddy) or internal API for better security
 	],
 	HIT: '/rhythm',		// Session activation and Edge transmission (default: '/rhythm') // Path isolation enhances Edge network
+	TIC: 100,			// Time unit of session fields (default: 100ms)
 	TAP: 3,				// Session refresh cycle (default: 3 clicks)
 	THR: 30,			// Session refresh throttle (default: 30ms)
+	KEY: 8,				// Session key length (default: 8 chars)
 	AGE: 259200,		// Session retention period (default: 3 days)
 	MAX: 6,				// Maximum session count (default: 6)
+	PGS: 300,			// Page dictionary entries kept in localStorage, least recently visited dropped first (default: 300 pages)
 	CAP: 3500,			// Maximum session capacity (default: 3500 bytes)
 	ACT: 600,			// Session recovery time (default: 10 minutes) // Session recovery on reconnection after abnormal termination
 	DEL: 0,				// Session deletion criteria (default: 0 clicks) // Below threshold not transmitted, 0 clicks means unlimited transmission
-	DEF: '/404',		// Bot blocking path (default: /404 page) - Path isolation between Edge and cookies temporarily prevents escape
+	DEF: '/404',		// Bot blocking path (default: /404 page), '' blocks without redirect - Path isolation between Edge and cookies temporarily prevents escape
+	SEC: {				// Graded bot enforcement by score[0] level, 10 turns a grade off (same as fullscore.js)
+		QUI: 1,			// Quiet: livestreaming refresh stops, recording goes on (default: level 1)
+		CHA: 4,			// Challenge: HOK runs once per page (default: level 4)
+		BLK: 7,			// Block: Rhythm stops and the page goes to DEF (default: level 7) // legacy security flag counts as BLK
+		ALW: [],		// Allowlist never enforced: path prefixes '/status' or user agent parts 'UptimeRobot'
+		HOK: null,		// Challenge hook (level, pass) => {}, call pass() once the visitor solved it
+	},
+	AUTO: true,			// Start on DOMContentLoaded as window.rhythm (default: true) // false: create with new Rhythm() when ready
 	REF: {				// Referrer mapping (0=direct, 1=internal, 2=unknown, 3-255=specific domains)
 		'google.com': 3,
 		'youtube.com': 4,
@@ -35,10 +49,29 @@ const RHYTHM = { // Real-time Hybrid Traffic History Monitor
 		'chatgpt.com': 7,
 		'meta.com': 8,
 	},
+	UTM: {				// Campaign attribution from the landing URL, taken when a session is created (result: s3m1c0k1, 0 without any)
+		SRC: {			// utm_source codes, lowercase (s), unlisted values are 0
+			'google': 1,
+			'newsletter': 2,
+		},
+		MED: {			// utm_medium codes, lowercase (m), unlisted values are 0
+			'cpc': 1,
+			'email': 2,
+			'social': 3,
+		},
+		CMP: {			// utm_campaign codes, lowercase (c), unlisted values are 0
+		},
+		CID: ['gclid', 'fbclid', 'msclkid', 'ttclid'],	// Click ID parameters, only presence kept as bits in this order (k, base36)
+	},
+	VPW: [480, 768, 1024, 1440],	// Viewport width bucket bounds in CSS px, the context digit counts the bounds reached (at most 9)
 	ADD: { 		// Addon features
 		TAB: true,		// BEAT Tab switch tracking addon (default: true)
 		SCR: false,		// BEAT Scroll position tracking addon (default: false)
 		SPA: false,		// Single Page Application addon (default: false)
+		BOT: false,		// SCORE Local bot classification without edge worker (default: false)
+		UTM: true,		// Campaign attribution from utm_ parameters and click IDs (default: true)
+		CTX: true,		// Session context: viewport bucket, input, language and UA-CH platform (default: true)
+		VIS: false,		// BEAT Hidden, blur and idle stretches marked so ~N gaps read as engaged time (default: false)
 	}
 };
 
@@ -50,32 +83,32 @@ class Rhythm {
 		if (RHYTHM.HIT !== '/') try { return localStorage.getItem(g); } catch { return null; } // Path-based fallback
 		return null;
 	}
-	clean(force = false) { // Delete ping=1 sessions + force reset
+	clean(force = false) { // Delete echo=2 sessions + force reset
 		for (let i = 1; i <= RHYTHM.MAX; i++) {
 			const name = 'rhythm_' + i;
 			const raw = this.get(name);
-			if (raw && raw[0] === '1') {
+			if (raw && raw[0] === '2') {
 				document.cookie = name + '=; Max-Age=0; Path=' + RHYTHM.HIT + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
 				if (RHYTHM.HIT !== '/') document.cookie = name + '=; Max-Age=0; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
 				if (RHYTHM.HIT !== '/') try { localStorage.removeItem(name); } catch {} // Remove session backup
 			}
 		}
 		if (force) {
-			try { localStorage.setItem('rhythm_reset', Date.now()); } catch {} // Broadcast to other tabs
+			try { localStorage.setItem('rhythm_reset', this.clock()); } catch {} // Broadcast to other tabs
 			this.data = null; // Standby mode
 			sessionStorage.removeItem('session');
 		}
 	}
-	batch(force = false) { // Convert all sessions ping 0→1 and permit Edge transmission
+	batch(force = false) { // Convert all sessions echo 0→2 and permit Edge transmission
 		const batch = [];
 		let localCleaned = false;
 		for (let i = 1; i <= RHYTHM.MAX; i++) {
 			const name = 'rhythm_' + i;
 			const raw = this.get(name);
 			if (raw && raw[0] === '0') {
-				const parts = raw.split('_'); // Keep session ping=0 if detected as abnormal termination pattern within RHYTHM.ACT time
+				const ses = Session.decode(raw, RHYTHM.TIC); // Keep session echo=0 if detected as abnormal termination pattern within RHYTHM.ACT time
 				if (!force) {
-					if (Math.floor(Date.now() / 1000) - (+parts[5] + +parts[6]) <= RHYTHM.ACT) return; // ACT window check // preserve sessions that may still reconnect
+					if (Math.floor(this.clock() / RHYTHM.TIC) - (ses.time + ses.duration) <= RHYTHM.ACT * 1000 / RHYTHM.TIC) return; // ACT window check // preserve sessions that may still reconnect
 				}
 				if (!localCleaned) { // Remove localStorage for all sessions if detected as abnormal termination pattern
 					try { for (let j = localStorage.length - 1; j >= 0; j--) { 
@@ -84,8 +117,8 @@ class Rhythm {
 					}} catch {} // Prevent localStorage access failures
 					localCleaned = true;
 				}
-				const copy = '1' + raw.substring(1);
-				document.cookie = name + '=' + copy + '; Path=' + RHYTHM.HIT + this.cookieAttrs; // Normal termination changes ping=1
+				const copy = '2' + raw.substring(1);
+				document.cookie = name + '=' + copy + '; Path=' + RHYTHM.HIT + this.cookieAttrs; // Normal termination changes echo=2
 				if (RHYTHM.HIT !== '/') {
 					try {
 						localStorage.setItem(name, copy); // Try localStorage update
@@ -95,17 +128,20 @@ class Rhythm {
 						document.cookie = name + '=' + copy + '; Path=/' + this.cookieAttrs; // Root fallback
 					}
 				}
-				batch.push(copy);
+				batch.push(name + '=' + copy);
 			}
 		}
 		if (!batch.length) return; // Abort if no sessions to send
-		const payload = batch.join('\n');
-		for (const pin of RHYTHM.PIN) { // Send to all configured endpoints
-			const url = new URL(pin, location.origin).href; // Relative path gets current origin, absolute URL stays as-is
+		let pages = null;
+		try { pages = this.hasBeat ? Beat.played(JSON.parse(localStorage.getItem('rhythm_pages')) || {}, batch.map(b => Session.decode(b.slice(b.indexOf('=') + 1), RHYTHM.TIC)?.flow || '')) : null; } catch {} // Only the pages these flows played
+		const sig = document.cookie.match(/(?:^|; )rhythm_sig=([^;]*)/)?.[1]; // Edge integrity token travels with the sessions it signed
+		const payload = batch.join('') + (pages && Object.keys(pages).length ? '\nrhythm_pages=' + new URLSearchParams(pages) : '') + (sig ? '\nrhythm_sig=' + sig : ''); // Page dictionary lets the backend resolve hashes
+		for (const echo of RHYTHM.ECO) { // Send to all configured endpoints
+			const url = new URL(echo, location.origin).href; // Relative path gets current origin, absolute URL stays as-is
 			const sent = navigator.sendBeacon && navigator.sendBeacon(url, payload); // sendBeacon returns boolean
 			if (!sent) fetch(url, {method: 'POST', body: payload, keepalive: true}).catch(() => {}); // Immediate fallback if sendBeacon fails
 		}
-		this.clean(force); // Completely delete transmitted ping=1 sessions
+		this.clean(force); // Completely delete transmitted echo=2 sessions
 	}
 	save() { // Save data with automatic fallback
 		if (RHYTHM.ADD?.TAB && this.hasBeat && this.beat && (this.data.clicks + this.data.scrolls > 0)) { // Tab switch tracking
@@ -115,8 +151,8 @@ class Rhythm {
 				if (name === this.data.name) continue; // Skip current tab
 				const raw = this.get(name);
 				if (raw?.[0] === '0') {
-					const parts = raw.split('_');
-					const activity = +parts[5] + +parts[6]; // Start time + duration
+					const ses = Session.decode(raw, RHYTHM.TIC);
+					const activity = ses.time + ses.duration; // Start time + duration
 					if (activity > prevActivity) prevName = name, prevActivity = activity;
 				}
 			}
@@ -128,12 +164,12 @@ class Rhythm {
 					if (newSave.length <= RHYTHM.CAP) {
 						document.cookie = prevName + '=' + newSave + '; Path=' + RHYTHM.HIT + this.cookieAttrs;
 						if (RHYTHM.HIT !== '/') try { localStorage.setItem(prevName, newSave); } catch {}
-						try { localStorage.setItem('rhythm_sync_' + prevName, Date.now()); } catch {} // Tab sync signal
+						try { localStorage.setItem('rhythm_sync_' + prevName, this.clock()); } catch {} // Tab sync signal
 					}
 				}
 			}
 		}
-		const save = [0, 0, 0, this.data.device, this.data.referrer, this.data.time, Math.floor(Date.now() / 1000) - this.data.time, this.data.clicks, this.data.scrolls, this.beat?.flow() || ''].join('_'); // Build session string
+		const save = Session.encode({...this.data, duration: Math.floor(this.clock() / RHYTHM.TIC) - this.data.time, flow: this.beat?.flow() || ''}); // Build session string
 		document.cookie = this.data.name + '=' + save + '; Path=' + RHYTHM.HIT + this.cookieAttrs;
 		if (RHYTHM.HIT !== '/') { // Path isolation backup
 			try {
@@ -146,30 +182,64 @@ class Rhythm {
 		}
 		if (save.length > RHYTHM.CAP) return void this.session(true); // Rotate session if capacity exceeded
 	}
+	upgrade() { // Rewrite unversioned rhythm_N sessions in the current session schema
+		for (let i = 1; i <= RHYTHM.MAX; i++) {
+			const name = 'rhythm_' + i, raw = this.get(name), save = Session.upgrade(raw, RHYTHM.TIC);
+			if (save === raw) continue;
+			document.cookie = name + '=' + save + '; Path=' + RHYTHM.HIT + this.cookieAttrs;
+			if (RHYTHM.HIT !== '/') try { localStorage.setItem(name, save); } catch {} // Session backup
+		}
+	}
+	campaign() { // RHYTHM.UTM codes of the landing URL: s source, m medium, c campaign, k click ID bits -> 's3m1c0k1' | '0'
+		const query = new URLSearchParams(location.search), utm = RHYTHM.UTM;
+		let code = '';
+		if (RHYTHM.ADD?.UTM) for (const [letter, key, table] of [['s', 'utm_source', utm.SRC], ['m', 'utm_medium', utm.MED], ['c', 'utm_campaign', utm.CMP]]) {
+			const value = query.get(key)?.trim().toLowerCase();
+			if (value) code += letter + (table[value] || 0);
+		}
+		const bits = RHYTHM.ADD?.UTM ? utm.CID.reduce((n, id, i) => query.has(id) ? n | 1 << i : n, 0) : 0;
+		return code + (bits ? 'k' + bits.toString(36) : '') || '0';
+	}
+	context() { // Viewport bucket, input, language family and UA-CH platform with mobile bit -> '3men' | '3menW0' | '0'
+		if (!RHYTHM.ADD?.CTX) return '0';
+		const width = window.innerWidth || document.documentElement.clientWidth || 0, hints = navigator.userAgentData; // Client Hints, Chromium browsers only
+		const input = 'ontouchstart' in window || navigator.maxTouchPoints > 0 ? 't' : window.matchMedia?.('(pointer: none)').matches ? 'k' : 'm'; // Same touch detection as tempo()
+		const language = (navigator.language || '').split('-')[0].toLowerCase();
+		const platform = hints ? (Object.keys(Session.PLATFORM).find(k => Session.PLATFORM[k] === hints.platform) || 'O') + (hints.mobile ? 1 : 0) : '';
+		return RHYTHM.VPW.filter(b => width >= b).length + input + (/^[a-z]{2,3}$/.test(language) ? language : '') + platform;
+	}
+	page() { // Record current page with the page dictionary shared across page loads and tabs
+		try { this.beat.hashTable = { ...JSON.parse(localStorage.getItem('rhythm_pages')), ...this.beat.hashTable }; } catch {} // Restore collision tokens
+		this.route = Beat.route(location); // Last recorded route, SPA navigation within it is no page change
+		this.beat.page(this.route);
+		try { localStorage.setItem('rhythm_pages', JSON.stringify({ ...Beat.recent(this.beat.hashTable, this.route, RHYTHM.PGS), ...Beat.played(this.beat.hashTable, [this.beat.flow()]) })); } catch {} // Bounded, stale pages age out unless this flow played them
+	}
 	session(force = false) { // Session management
 		const storage = typeof sessionStorage !== 'undefined';
 		if (!force && storage) { // Page restoration using session storage
 			const stored = sessionStorage.getItem('session');
 			if (stored) {
-				const raw = this.get(stored);
-				if (raw && raw[0] === '0') { // Start script restoration if ping=0 session
-					const parts = raw.split('_');
-					const beatStr = parts.slice(9).join('_'); // Safe BEAT restoration
+				const ses = Session.decode(this.get(stored), RHYTHM.TIC);
+				if (ses && ses.echo === 0) { // Start script restoration if echo=0 session
+					const beatStr = ses.flow; // Safe BEAT restoration
 					this.data = { // Convert string to object
 						name: stored,
-						time: +parts[5],
-						device: +parts[3],
-						referrer: +parts[4],
-						clicks: +parts[7],
-						scrolls: +parts[8]
+						time: ses.time,
+						key: ses.key,
+						device: ses.device,
+						referrer: ses.referrer,
+						campaign: ses.campaign,
+						context: ses.context,
+						clicks: ses.clicks,
+						scrolls: ses.scrolls
 					};
 					if (this.hasBeat) {
-						this.beat = new Beat();
+						this.beat = new Beat({clock: this.clock});
 						if (beatStr) {
 							this.beat.sequence = [beatStr];
-							this.beat.lastTime = Date.now(); // Initialize timing
+							this.beat.lastTime = this.clock(); // Initialize timing
 						}
-						this.beat.page(location.pathname); // Add current page to BEAT
+						this.page(); // Add current page to BEAT
 					}
 					this.save(); // Save updated session
 					return;
@@ -189,7 +259,7 @@ class Rhythm {
 			name = 'rhythm_1';
 		}
 		if (storage) { try { sessionStorage.setItem('session', name); } catch {} } // Save session to storage
-		const ua = navigator.userAgent; // User agent for device detection
+		const ua = navigator.userAgent; // User agent for device detection, UA-CH and touch points where UA strings are frozen or desktop-like (iPadOS)
 		const r = document.referrer; // Referrer URL for traffic source analysis
 		let ref = !r ? 0 : r.indexOf(location.hostname) > -1 ? 1 : 2; // Calculate base referrer type
 		if (r && ref === 2) {
@@ -203,152 +273,253 @@ class Rhythm {
 				}
 			}
 		}
+		let key = this.get('score')?.split('_')[2] || this.get('rhythm_key'); // One key per browser session, shared by slots and tabs like fullscore.js
+		if (!key) {
+			key = '';
+			for (let i = 0; i < RHYTHM.KEY; i++) key += '0123456789abcdefghijklmnopqrstuvwxyz'[this.random() * 36 | 0];
+			document.cookie = 'rhythm_key=' + key + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : ''); // No Max-Age, ends with the browser session
+		}
+		const campaign = this.data?.campaign || this.campaign(); // Landing attribution, a rotated session keeps it
 		this.data = { // Create new session
 			name: name,
-			time: Math.floor(Date.now() / 1000),
-			device: /mobi/i.test(ua) ? 1 : /tablet|ipad/i.test(ua) ? 2 : 0, // Device type: 0=desktop, 1=mobile, 2=tablet
+			time: Math.floor(this.clock() / RHYTHM.TIC),
+			key: key,
+			device: navigator.userAgentData?.mobile || /mobi/i.test(ua) ? 1 : /tablet|ipad|android/i.test(ua) || /macintosh/i.test(ua) && navigator.maxTouchPoints > 1 ? 2 : 0, // Device type: 0=desktop, 1=mobile, 2=tablet
 			referrer: ref,
+			campaign: campaign,
+			context: this.context(),
 			clicks: 0,
 			scrolls: 0
 		};
 		if (this.hasBeat) {
-			this.beat = new Beat(); // Create new BEAT instance
-			this.beat.page(location.pathname); // Add current page to BEAT
+			this.beat = new Beat({clock: this.clock}); // Create new BEAT instance
+			this.page(); // Add current page to BEAT
 		}
 		this.save(); // Save new session
 	}
 	click(el, e) { // Click action and cookie refresh // customizable considering trade-offs
+		if (!this.live) return el; // Stopped or destroyed, a TEMPO shared with another instance may still tap
 		this.data || this.session();
 		this.data.clicks++;
 		if (this.hasBeat && this.beat) this.beat.element(el);
 		this.save();
 		if (this.data.clicks % RHYTHM.TAP === 0) { // Option 1: Performance type // cookie refresh rarely fails but consumes almost no network bandwidth
+			RHYTHM.ADD?.BOT && this.hasScore && this.hasBeat && this.beat && this.judge(); // SCORE Local bot classification (default: false)
+			if (!this.enforce() || this.quiet) return el; // Verdict from the last refresh // suspected bots no longer livestream
 			const c = new AbortController();
-			const refreshUrl = new URL(RHYTHM.HIT + '/?liveStreaming', location.origin);
+			const refreshUrl = new URL(RHYTHM.HIT + '/?livestreaming', location.origin);
 			fetch(refreshUrl.href, {method: 'HEAD', signal: c.signal, credentials: 'include', redirect: 'manual'}).catch(() => {});
 			setTimeout(() => c.abort(), RHYTHM.THR);
 		}
 		return el; // Block click if null returned
 	}
+	mark(name) { // Record custom business event in the BEAT flow: rhythm.mark('add-to-cart')
+		if (!this.live) return;
+		this.data || this.session();
+		if (this.hasBeat && this.beat) this.beat.mark(name);
+		this.save();
+	}
+	engage() { // BEAT Engagement state addon: |h |v tab visibility, |b |f window focus, |i |a idle
+		const note = (s, at) => { this.data || this.session(); this.beat?.state(s, at) && this.save(); }; // The tab shown next marks ___N right after this |h
+		const check = () => { // Idle once BEAT.VIS.IDL passed without input, backdated to the last input
+			const left = this.input + BEAT.VIS.IDL - this.clock();
+			left > 0 ? this.idle = setTimeout(check, left) : (this.idle = null, note('i', this.input));
+		};
+		const wake = () => { this.input = this.clock(); BEAT.VIS.IDL && !this.idle && check(); };
+		this.listen(document, 'visibilitychange', () => document.visibilityState === 'hidden' ? note('h') : (note('v'), wake()), { capture: true });
+		this.listen(window, 'blur', () => note('b'));
+		this.listen(window, 'focus', () => (note('f'), wake()));
+		for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll']) this.listen(document, type, () => (this.beat?.away === 'i' && note('a'), wake()), { capture: true, passive: true });
+		wake();
+	}
 	spa() { // SPA only
 		const rhythm = this;
 		const originalPush = history.pushState;
 		const originalReplace = history.replaceState;
+		const moved = () => { // Every signal of one navigation lands here, the page is noted once per route change (BEAT.RTE)
+			if (!rhythm.live) return;
+			if (rhythm.hasBeat && rhythm.beat && Beat.route(location) !== rhythm.route) rhythm.page();
+			rhythm.save();
+		};
 		history.pushState = function(state, title, url) { // Detect browser page navigation
 			originalPush.call(history, state, title, url);
-			if (rhythm.hasBeat && rhythm.beat) rhythm.beat.page(location.pathname);
-			rhythm.save();
+			moved();
 		};
 		history.replaceState = function(state, title, url) { // Detect browser filter/query changes etc.
 			originalReplace.call(history, state, title, url);
-			if (rhythm.hasBeat && rhythm.beat) rhythm.beat.page(location.pathname);
-			rhythm.save();
+			moved();
 		};
-		window.addEventListener('popstate', () => { // Detect browser forward/back buttons
-			if (rhythm.hasBeat && rhythm.beat) rhythm.beat.page(location.pathname);
-			rhythm.save();
-		});
+		this.patched = {pushState: [originalPush, history.pushState], replaceState: [originalReplace, history.replaceState]}; // Originals restored by stop()
+		this.listen(window, 'popstate', moved); // Detect browser forward/back buttons
+		this.listen(window, 'hashchange', moved); // Hash routers and in-page anchors
+		window.navigation && this.listen(navigation, 'currententrychange', moved); // Navigation API: router navigations that never touch the patched history
 	}
-	constructor() { // Rhythm engine start
+	constructor(options = {}) { // Rhythm engine start: new Rhythm({clock, random}) replays deterministically
+		this.clock = options.clock || Date.now; // Milliseconds source
+		this.random = options.random || Math.random; // [0, 1) source for session keys and tab id
 		this.hasBeat = typeof Beat !== 'undefined';
 		this.hasTempo = typeof tempo !== 'undefined';
+		this.hasScore = typeof Score !== 'undefined';
 		this.ended = false;
+		this.live = false; // Recording between start() and stop()
+		this.listeners = []; // Registered listeners for teardown
 		this.rootFallback = false; // localStorage failure flag // once true, maintains root cookie sync for session lifetime
-		window.addEventListener('storage', (e) => {
+		this.cookieAttrs = '; Max-Age=' + RHYTHM.AGE + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : ''); // Cookie attributes reused for all writes
+		if (!this.enforce()) return; // Blocked instance never starts
+		this.upgrade(); // Sessions written by older builds
+		this.tabId = this.clock().toString(36) + this.random().toString(36).slice(2, 6); // Unique tab identifier
+		this.clean(); // Clean normal termination sessions
+		this.batch(); // Clean abnormal termination sessions
+		this.session(); // Start session // create new or relocate from storage
+		this.start();
+	}
+	start() { // Attach listeners and record, resumes after stop()
+		if (this.live || this.destroyed) return this;
+		this.live = true;
+		this.ended = false;
+		try { localStorage.setItem('t' + this.tabId, '1'); } catch {} // Tab marker for multi-tab detection
+		this.listen(window, 'storage', (e) => {
 			if (e.key === 'rhythm_reset') {
 				this.data = null;
 				sessionStorage.removeItem('session');
-				window.addEventListener('focus', () => this.session(), { once: true });
+				this.listen(window, 'focus', () => this.session(), { once: true });
 			} else if (e.key && e.key.startsWith('rhythm_sync_')) { // Targeted tab sync
 				const target = e.key.slice('rhythm_sync_'.length);
 				const mine = sessionStorage.getItem('session');
 				if (mine !== target) return; // Not for this tab
 				const raw = this.get(mine);
 				if (!raw || raw[0] !== '0') return; // Invalid session
-				const beatStr = raw.split('_').slice(9).join('_');
+				const beatStr = Session.decode(raw, RHYTHM.TIC)?.flow;
 				if (this.hasBeat) {
-					if (!this.beat) this.beat = new Beat();
+					if (!this.beat) this.beat = new Beat({clock: this.clock});
 					this.beat.sequence = beatStr ? [beatStr] : [];
-					this.beat.lastTime = Date.now(); // Refresh memory from cookie
+					this.beat.lastTime = this.clock(); // Refresh memory from cookie
 				}
 			}
 		});
-		this.cookieAttrs = '; Max-Age=' + RHYTHM.AGE + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : ''); // Cookie attributes reused for all writes
-		for (let i = 1; i <= RHYTHM.MAX; i++) { // Check security=1 // determined by Edge and executed blocking together
-			const raw = this.get('rhythm_' + i);
-			if (raw && raw.split('_')[1] === '1') {
-				if (location.pathname !== RHYTHM.DEF) {
-					window.location.href = RHYTHM.DEF; // Send to prison
-				}
-				return;
-			}
-		}
-		this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6); // Unique tab identifier
-		try { localStorage.setItem('t' + this.tabId, '1'); } catch {} // Tab marker for multi-tab detection
-		this.clean(); // Clean normal termination sessions
-		this.batch(); // Clean abnormal termination sessions
-		this.session(); // Start session // create new or relocate from storage
-		setInterval(() => {
-		    if (this.data && Math.floor(Date.now() / 1000) - this.data.time > RHYTHM.ACT / 2) this.save(); // Session heartbeat
+		this.heartbeat = setInterval(() => {
+		    if (this.data && Math.floor(this.clock() / RHYTHM.TIC) - this.data.time > RHYTHM.ACT * 500 / RHYTHM.TIC) this.save(); // Session heartbeat
 		}, RHYTHM.ACT / 2 * 1000);
-		this.hasTempo ? tempo(this) : document.addEventListener('click', e => this.click(e.target, e), { capture: true }); // Tempo integration
+		this.hasTempo ? (this.untempo = tempo(this)) : this.listen(document, 'click', e => this.click(e.target, e), { capture: true }); // Tempo integration
 		this.scrolling = false; // Debounce to count once per scroll gesture
-		const scroll = () => {
+		this.listen(document, 'scroll', e => {
 			this.data || this.session();
 			if (!this.scrolling) this.scrolling = true, this.data.scrolls++, this.save(); // Count and save immediately
 			clearTimeout(this.s), this.s = setTimeout(() => {
-				this.hasBeat && this.beat && RHYTHM.ADD?.SCR && (this.beat.time(), this.beat.sequence.push('^' + Math.round(window.scrollY))); // Record final scroll position
+				this.hasBeat && this.beat && RHYTHM.ADD?.SCR && this.beat.scroll(e.target); // Record final scroll position of the window or container
 				this.scrolling = false; // Reset after 150ms
 			}, 150);
-		};
-		document.addEventListener('scroll', scroll, { capture: true, passive: true });
+		}, { capture: true, passive: true });
 		this.hasBeat && RHYTHM.ADD?.SPA && this.spa(); // Single Page Application addon
-		const end = () => { // Rhythm engine stop
-			if (this.ended) return; // Prevent multiple executions
-			this.ended = true;
-			if (RHYTHM.DEL && this.data && this.data.clicks < RHYTHM.DEL) { // Discard sessions below threshold
-				document.cookie = this.data.name + '=; Max-Age=0; Path=' + RHYTHM.HIT + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
-				if (RHYTHM.HIT !== '/') {
-					document.cookie = this.data.name + '=; Max-Age=0; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
-					try { localStorage.removeItem(this.data.name); } catch {}
-				}
-				try { localStorage.removeItem('t' + this.tabId); } catch {} // Clean tab marker
-				return;
+		this.hasBeat && RHYTHM.ADD?.VIS && this.engage(); // BEAT Engagement state addon
+		this.listen(window, 'beforeunload', () => this.end()); // Capture tab/window close
+		this.listen(window, 'pagehide', e => { if (!e.persisted) this.end(); }); // Fallback for mobile browsers
+		return this;
+	}
+	stop() { // Pause recording: save the session, remove every listener, timer and history patch
+		if (!this.live) return this;
+		this.data && this.save(); // Session stays echo=0 and resumes with start()
+		this.live = false;
+		for (const [target, type, fn, options] of this.listeners) target.removeEventListener(type, fn, options);
+		this.listeners = [];
+		clearInterval(this.heartbeat), clearTimeout(this.s), clearTimeout(this.idle), this.idle = null;
+		this.untempo?.(), this.untempo = null; // TEMPO listeners and document.tempo
+		for (const name in this.patched) if (history[name] === this.patched[name][1]) history[name] = this.patched[name][0]; // Leave later patches by other scripts alone
+		this.patched = null;
+		try { localStorage.removeItem('t' + this.tabId); } catch {} // A paused tab does not hold back the last-tab election
+		return this;
+	}
+	flush() { // Send every session to the echo endpoints now
+		this.batch(true);
+		return this;
+	}
+	destroy() { // Stop for good, the instance cannot start again
+		this.stop();
+		this.destroyed = true;
+		this.data = null, this.beat = null;
+		return this;
+	}
+	judge() { // SCORE Local bot classification addon (default: false)
+		const score = this.get('score') || '0000000000_' + this.data.time + '_' + this.data.key + '___'; // Sites without an edge get a score of their own
+		try { if (localStorage.getItem('rhythm_pass') === score.split('___')[0].slice(11)) return; } catch {} // Challenge solved for this score
+		const level = Score.classify({...this.data, duration: Math.floor(this.clock() / RHYTHM.TIC) - this.data.time, flow: this.beat.flow()}).level;
+		if (level <= +score[0]) return; // Bot level only rises locally, the edge may lower it
+		document.cookie = 'score=' + level + score.slice(1) + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+	}
+	enforce() { // Graded bot enforcement from score[0] (RHYTHM.SEC), false when blocked
+		const sec = RHYTHM.SEC;
+		let level = +(this.get('score')?.[0] || 0) || 0; // Bot security level written to score[0] by Edge
+		for (let i = 1; i <= RHYTHM.MAX && level < sec.BLK; i++) if (Session.decode(this.get('rhythm_' + i), RHYTHM.TIC)?.security) level = sec.BLK; // Legacy sessions carried their own flag
+		const exempt = sec.ALW.some(a => a[0] === '/' ? location.pathname.startsWith(a) : navigator.userAgent.includes(a));
+		this.quiet = !exempt && level >= sec.QUI;
+		if (exempt || level < sec.CHA) return true;
+		if (level >= sec.BLK) {
+			this.destroy();
+			if (RHYTHM.DEF && location.pathname !== RHYTHM.DEF) window.location.href = RHYTHM.DEF; // Send to prison
+			return false;
+		}
+		if (sec.HOK && !this.challenged) this.challenged = true, sec.HOK(level, proof => this.pass(proof));
+		return true;
+	}
+	pass(proof) { // Clear the bot verdict after a solved challenge: score[0] back to 0, legacy security flags rewritten away, the edge checks the proof
+		const score = this.get('score');
+		if (score) document.cookie = 'score=0' + score.slice(1) + '; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+		if (score) try { localStorage.setItem('rhythm_pass', score.split('___')[0].slice(11)); } catch {} // time_key of the score, local classification leaves it alone
+		this.upgrade(); // The current schema carries no security flag
+		this.challenged = false, this.quiet = false;
+		fetch(new URL(RHYTHM.HIT + '/pass', location.origin).href, {method: 'POST', body: proof == null ? '' : String(proof), credentials: 'include', keepalive: true}).catch(() => {}); // Edge pass ticket (EDGE.PAS)
+		return this;
+	}
+	listen(target, type, fn, options) { // Add listener and remember it for teardown
+		target.addEventListener(type, fn, options);
+		this.listeners.push([target, type, fn, options]);
+	}
+	end() { // Rhythm engine stop
+		if (this.ended) return; // Prevent multiple executions
+		this.ended = true;
+		if (this.hasBeat && this.beat?.depth() && this.data) this.save(); // Last page's max scroll depth
+		if (RHYTHM.DEL && this.data && this.data.clicks < RHYTHM.DEL) { // Discard sessions below threshold
+			document.cookie = this.data.name + '=; Max-Age=0; Path=' + RHYTHM.HIT + '; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+			if (RHYTHM.HIT !== '/') {
+				document.cookie = this.data.name + '=; Max-Age=0; Path=/; SameSite=Lax' + (location.protocol === 'https:' ? '; Secure' : '');
+				try { localStorage.removeItem(this.data.name); } catch {}
+			}
+			try { localStorage.removeItem('t' + this.tabId); } catch {} // Clean tab marker
+			return;
+		}
+		try { localStorage.removeItem('t' + this.tabId); } catch {} // Remove my tab marker
+		let hasOthers = false; // Check for other tabs
+		try {
+			for (let i = 0; i < localStorage.length; i++) {
+				const k = localStorage.key(i);
+				if (k && k.startsWith('t')) { hasOthers = true; break; }
 			}
-			try { localStorage.removeItem('t' + this.tabId); } catch {} // Remove my tab marker
-			let hasOthers = false; // Check for other tabs
+		} catch {
+			this.batch(true); // Storage access failed, send immediately
+			return;
+		}
+		if (!hasOthers) { this.batch(true); return; } // Last tab confirmed, send all sessions
+		try { if (sessionStorage.getItem('session') === this.data?.name) return; } catch {} // Skip if navigation
+		const elect = (retry = 2) => { // Election process with retry mechanism
 			try {
-				for (let i = 0; i < localStorage.length; i++) {
-					const k = localStorage.key(i);
-					if (k && k.startsWith('t')) { hasOthers = true; break; }
+				for (let j = 0; j < localStorage.length; j++) {
+					const k = localStorage.key(j);
+					if (k?.startsWith('t')) { // Other tab found
+						if (retry > 0) setTimeout(() => elect(retry - 1), 120); // Retry after delay
+						return;
+					}
 				}
 			} catch {
 				this.batch(true); // Storage access failed, send immediately
 				return;
 			}
-			if (!hasOthers) { this.batch(true); return; } // Last tab confirmed, send all sessions
-			try { if (sessionStorage.getItem('session') === this.data?.name) return; } catch {} // Skip if navigation
-			const elect = (retry = 2) => { // Election process with retry mechanism
-				try {
-					for (let j = 0; j < localStorage.length; j++) {
-						const k = localStorage.key(j);
-						if (k?.startsWith('t')) { // Other tab found
-							if (retry > 0) setTimeout(() => elect(retry - 1), 120); // Retry after delay
-							return;
-						}
-					}
-				} catch {
-					this.batch(true); // Storage access failed, send immediately
-					return;
-				}
-				this.batch(true); // Last tab confirmed, send all sessions
-			};
-			elect(); // Start election process
+			this.batch(true); // Last tab confirmed, send all sessions
 		};
-		window.addEventListener('beforeunload', end); // Capture tab/window close
-		window.addEventListener('pagehide', e => { if (!e.persisted) end(); }); // Fallback for mobile browsers
+		elect(); // Start election process
 	}
 }
 
-if (document.readyState !== 'loading') new Rhythm();
-else document.addEventListener('DOMContentLoaded', () => new Rhythm()); // Cue the performance
+if (RHYTHM.AUTO) { // Cue the performance, window.rhythm.stop(), start() and destroy() control it afterwards
+	if (document.readyState !== 'loading') window.rhythm = new Rhythm();
+	else document.addEventListener('DOMContentLoaded', () => window.rhythm = new Rhythm());
+}
@@ -0,0 +1,60 @@
+/**
+ * RHYTHM - Session string schema
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * One encoder and decoder for the rhythm_N cookie, shared by fullscore.js,
+ * rhythm/rhythm.js and the edge. The second field carries the schema version,
+ * so no reader has to guess which build wrote a string:
+ *
+ *   v3          echo_v3_time_key_device_referrer_campaign_context_scrolls_clicks_duration_flow   (RHYTHM.TIC ticks)
+ *
+ * The campaign field holds RHYTHM.UTM codes like s3m1c0k1, or 0 without any.
+ * The context field holds the RHYTHM.VPW viewport bucket, the input (t touch,
+ * m mouse, k keyboard) and the language family like 3men, with the UA-CH
+ * platform letter and mobile bit appended where the browser sends them (3menW0),
+ * or 0 without. context() reads it back. Older strings are still read, and
+ * upgrade() rewrites them:
+ *
+ *   v2          echo_v2_time_key_device_referrer_campaign_scrolls_clicks_duration_flow   (RHYTHM.TIC ticks)
+ *   v1          echo_v1_time_key_device_referrer_scrolls_clicks_duration_flow   (RHYTHM.TIC ticks)
+ *   fullscore   echo_time_key_device_referrer_scrolls_clicks_duration_flow      (RHYTHM.TIC ticks)
+ *   rhythm      ping_security_0_device_referrer_time_duration_clicks_scrolls_flow (seconds)
+ *
+ * Load before rhythm/rhythm.js: <script src="rhythm/session.js"></script>
+ */
+
+class Session { // Versioned rhythm_N session string
+	static VERSION = 3; // Written as 'v3' in the second field
+	static INPUT = {t: 'touch', m: 'mouse', k: 'keyboard'}; // Context input letters
+	static PLATFORM = {W: 'Windows', M: 'macOS', L: 'Linux', A: 'Android', I: 'iOS', C: 'Chrome OS'}; // Context UA-CH platform letters, O for any other
+	static encode(s) { // {echo, time, key, device, referrer, campaign, context, scrolls, clicks, duration, flow} -> string
+		return [s.echo || 0, 'v' + Session.VERSION, s.time, s.key || '', s.device, s.referrer, s.campaign || '0', s.context || '0', s.scrolls, s.clicks, s.duration, s.flow || ''].join('_');
+	}
+	static decode(raw, tic = 100) { // Any known format -> {echo, version, time, key, ..., campaign, context, ..., flow, security} | null
+		const p = raw ? raw.split('_') : [];
+		if (p.length < 9) return null;
+		if (/^v\d+$/.test(p[1])) { // Versioned schema
+			const version = +p[1].slice(1), c = (version > 1) + (version > 2); // v2 added the campaign field after referrer, v3 the context field after campaign
+			if (version > Session.VERSION || p.length < 9 + c) return null; // Written by a newer build, leave it alone
+			return {echo: +p[0], version, time: +p[2], key: p[3], device: +p[4], referrer: +p[5], campaign: c ? p[6] : '0', context: c > 1 ? p[7] : '0', scrolls: +p[6 + c], clicks: +p[7 + c], duration: +p[8 + c], flow: p.slice(9 + c).join('_'), security: 0};
+		}
+		if (p[1].length === 1) { // Legacy rhythm.js: ping 1 meant transmitted, times in seconds
+			const s = 1000 / tic;
+			return {echo: p[0] === '1' ? 2 : 0, version: 0, time: Math.floor(p[5] * s), key: '', device: +p[3], referrer: +p[4], campaign: '0', context: '0', scrolls: +p[8], clicks: +p[7], duration: Math.floor(p[6] * s), flow: p.slice(9).join('_'), security: +p[1]};
+		}
+		return {echo: +p[0], version: 0, time: +p[1], key: p[2], device: +p[3], referrer: +p[4], campaign: '0', context: '0', scrolls: +p[5], clicks: +p[6], duration: +p[7], flow: p.slice(8).join('_'), security: 0}; // Legacy fullscore.js
+	}
+	static upgrade(raw, tic = 100) { // Rewrite an old-format string in the current schema, anything else is returned as is
+		const s = Session.decode(raw, tic);
+		return s && s.version < Session.VERSION ? Session.encode(s) : raw;
+	}
+	static context(code, bounds = [480, 768, 1024, 1440]) { // '3menW0' -> {viewport, input, language, platform, mobile} | null, bounds as in RHYTHM.VPW
+		const m = String(code).match(/^(\d)([tmk])([a-z]{0,3})(?:([A-Z])([01]))?$/);
+		if (!m) return null; // 0 or unreadable
+		const i = +m[1], viewport = !i ? '<' + bounds[0] : i < bounds.length ? bounds[i - 1] + '-' + bounds[i] : bounds[bounds.length - 1] + '+';
+		return {viewport, input: Session.INPUT[m[2]], language: m[3] || null, platform: m[4] ? Session.PLATFORM[m[4]] || 'other' : null, mobile: m[5] ? m[5] === '1' : null}; // null: not sent
+	}
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { Session }; // Node export
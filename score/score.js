@@ -0,0 +1,114 @@
+/**
+ * SCORE - Signal Classification Of Rhythm Events
+ * Copyright (c) 2025 Aidgn
+ * GPL-3.0-or-later - See LICENSE file for details
+ *
+ * Bots play metronomes, humans play rubato. SCORE listens to a session's BEAT
+ * flow and decides how mechanical it sounds: MachineGun (rapid clicks), Metronome
+ * (exact intervals) and Surface (shallow DOM depth). The verdict is a bot level
+ * 0-9 for the first digit of the score cookie, with the reasons behind it. The
+ * other nine digits are human behavior flags, raised when a SCORE.HUM rule (a
+ * phrase of tokens with timing) is heard in the flow. The same file runs at the
+ * Edge and inside Rhythm for sites without an edge worker.
+ */
+
+const SCORE = { // Signal Classification Of Rhythm Events
+	BOT: {				// Bot classifiers thresholds (time in BEAT ticks, default: 100ms)
+		MachineGun: {	// Rapid clicks (*1a1*1a2*1a3...)
+			GAP: 2,		// Click interval counted as rapid (default: under 200ms)
+			HIT: 8,		// Rapid clicks per level step (default: 8 clicks)
+			LVL: 3,		// Level added per step (default: 3)
+		},
+		Metronome: {	// Exact intervals (~10*1a1~10*1a2~10*1a3...)
+			TOL: 0,		// Interval tolerance (default: 0 ticks, identical)
+			RUN: 5,		// Consecutive equal intervals (default: 5)
+			LVL: 5,		// Bot level (default: 5)
+		},
+		Surface: {		// Shallow DOM depth (*1a1~10*1a2...)
+			DEP: 3,		// Average depth below this is surface (default: 3)
+			MIN: 4,		// Minimum depth-keyed clicks to judge (default: 4)
+			LVL: 4,		// Bot level (default: 4)
+		},
+	},
+	HUM: {				// Human behavior flag rules, flag digit 1-9: rule or [rules] (default: none)
+						// '!prod *buy>10s' = *buy after page !prod, more than 10s of silence before the click
+						// Steps match in order with anything between: !page !/path *element @mark :s :f5input1 #section (bare symbol = any)
+						// Step suffixes: >N or <N silence before the note (ticks, or N s / N ms), {N} played at least N times
+	}
+};
+
+class Score { // Signal Classification Of Rhythm Events
+	static classify(session, config = {}) { // Session {device, clicks, scrolls, duration, flow | beat} -> {level, reasons}
+		const events = (session.beat || Score.beat.Beat.parse(session.flow || '')).events, clicks = [], reasons = [];
+		for (const e of events) if (e.type === 'element') { // Expand folded repeats into a click timeline
+			let at = e.at;
+			clicks.push({at, depth: e.depth});
+			for (const t of e.repeats) clicks.push({at: at += t, depth: e.depth});
+		}
+		let level = 0;
+		for (const name in Score.bots) {
+			const found = Score.bots[name](clicks, session, {...SCORE.BOT[name], ...config[name]});
+			if (found && found.level > 0) reasons.push(name + ':' + found.value), level = Math.max(level, found.level);
+		}
+		return {level: Math.min(level, 9), reasons};
+	}
+	static bots = { // Pluggable classifiers: (clicks, session, thresholds) -> {level, value} | null
+		MachineGun(clicks, session, t) { // Rapid clicks
+			let fast = 0;
+			for (let i = 1; i < clicks.length; i++) clicks[i].at - clicks[i - 1].at < t.GAP && fast++;
+			if (!clicks.length && session.clicks >= t.HIT && session.duration < session.clicks * t.GAP) fast = session.clicks; // No flow: average click rate
+			return fast >= t.HIT ? {level: t.LVL * Math.floor(fast / t.HIT), value: fast} : null;
+		},
+		Metronome(clicks, session, t) { // Exact intervals
+			let run = 0, best = 0, gap = -1;
+			for (let i = 1; i < clicks.length; i++) {
+				const g = clicks[i].at - clicks[i - 1].at;
+				run = g > 0 && Math.abs(g - gap) <= t.TOL ? run + 1 : 1, gap = g;
+				best = Math.max(best, run);
+			}
+			return best >= t.RUN ? {level: t.LVL, value: best} : null;
+		},
+		Surface(clicks, session, t) { // Shallow DOM depth
+			const depths = clicks.filter(c => c.depth !== null);
+			if (depths.length < t.MIN) return null;
+			const avg = depths.reduce((s, c) => s + c.depth, 0) / depths.length;
+			return avg < t.DEP ? {level: t.LVL, value: Math.round(avg * 10) / 10} : null;
+		},
+	};
+	static human(session, rules = SCORE.HUM, pages = Score.beat.BEAT.DIC) { // Session {flow | beat} -> human flags [1-9] whose rule matched
+		const {TOK, MAP} = Score.beat.BEAT, FORM = {f: 'focus', e: 'edit', s: 'submit', a: 'abandon'}, notes = [], flags = [];
+		let end = 0, away = null; // Where the previous note stopped sounding, the gap before a note is its hesitation
+		for (const e of (session.beat || Score.beat.Beat.parse(session.flow || '')).events) if (e.type === 'state') { // Time away from the page is no hesitation
+			e.away ? away ??= e.at : away !== null && (end += e.at - away, away = null);
+		} else if (e.type === 'page' || e.type === 'element' || e.type === 'mark' || e.type === 'form' || e.type === 'view') {
+			const repeats = e.repeats || [], token = e.type === 'page' ? TOK.P + TOK.L.repeat(e.collision) + e.name : null;
+			notes.push({...e, token, path: e.path || pages[token] || Object.keys(MAP.P).find(k => MAP.P[k] === e.name), gap: e.at - end, plays: repeats.length + 1}); // Mapped pages match by path or route pattern
+			end = e.at + repeats.reduce((s, t) => s + t, 0);
+		}
+		const hit = (n, step) => n.type === step.type && n.gap > step.over && n.gap < step.under && n.plays >= step.plays && (!step.name || (
+			n.type === 'page' ? (step.name[0] === '/' ? n.path === step.name : n.token === TOK.P + step.name) :
+			n.type === 'form' ? n.action === FORM[step.name[0]] && (step.name.length === 1 || n.name === step.name.slice(1)) : n.name === step.name));
+		for (const flag in rules) if (flag >= 1 && flag <= 9 && [].concat(rules[flag]).some(text => { // Steps in order, earliest note first
+			const steps = Score.rule(text) || [];
+			let i = 0;
+			for (const n of notes) if (i < steps.length && hit(n, steps[i])) i++;
+			return steps.length && i === steps.length;
+		})) flags.push(+flag);
+		return flags;
+	}
+	static rule(text) { // '!prod *buy>10s' -> [{type, name, over, under, plays}] | null when malformed
+		const {BEAT} = Score.beat, types = {[BEAT.TOK.P]: 'page', [BEAT.TOK.E]: 'element', [BEAT.TOK.M]: 'mark', [BEAT.TOK.F]: 'form', [BEAT.TOK.V]: 'view'}, steps = [];
+		const ticks = (n, unit) => Math.round(unit === 's' ? n * 1000 / BEAT.TIC : unit === 'ms' ? n / BEAT.TIC : n);
+		for (const part of String(text).trim().split(/\s+/)) {
+			const m = part.match(/^(.)(.*?)((?:[<>]\d+(?:ms|s)?|\{\d+\})*)$/);
+			if (!m || !types[m[1]] || (types[m[1]] === 'form' && m[2] && !'fesa'.includes(m[2][0]))) return null;
+			const step = {type: types[m[1]], name: m[2], over: -1, under: Infinity, plays: 1};
+			for (const [, op, n, unit, plays] of m[3].matchAll(/([<>])(\d+)(ms|s)?|\{(\d+)\}/g)) plays ? step.plays = +plays : op === '>' ? step.over = ticks(+n, unit) : step.under = ticks(+n, unit);
+			steps.push(step);
+		}
+		return steps;
+	}
+	static get beat() { return typeof Beat !== 'undefined' ? {BEAT, Beat} : require('../beat/beat.js'); } // Browser global or Node module
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { SCORE, Score }; // Node export
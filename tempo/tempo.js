@@ -12,15 +12,17 @@
 function tempo(rhythm) { // Touch Event Maestro Performance Optimizer
 	if (document.tempo) return;
 	document.tempo = true;
+	const off = []; // Teardown steps
+	const listen = (type, fn, passive = false) => { document.addEventListener(type, fn, {capture: true, passive}); off.push(() => document.removeEventListener(type, fn, true)); };
 	if ("ontouchstart" in window || navigator.maxTouchPoints > 0) { // Mobile environment detection
 		const pending = new Set(); // Track pending native click blockers
+		const unblock = () => { for (const b of pending) document.removeEventListener("click", b, true); pending.clear(); };
 		let moved = false;
-		document.addEventListener("touchstart", () => {
-			moved = false; for (const b of pending) document.removeEventListener("click", b, true); pending.clear(); // Reset moved
-		}, {capture: true, passive: true});
-		document.addEventListener("touchmove", () => moved = true, {capture: true, passive: true}); // Mark as moved
-		document.addEventListener("touchcancel", () => moved = true, {capture: true, passive: true}); // Mark as cancelled
-		document.addEventListener("touchend", (e) => {
+		listen("touchstart", () => { moved = false; unblock(); }, true); // Reset moved
+		listen("touchmove", () => moved = true, true); // Mark as moved
+		listen("touchcancel", () => moved = true, true); // Mark as cancelled
+		off.push(unblock);
+		listen("touchend", (e) => {
 			if (moved || !e.changedTouches?.[0]) return; // Skip if moved or no touch
 			let once = true;
 			const block = (ev) => { // Block native click once
@@ -43,15 +45,16 @@ function tempo(rhythm) { // Touch Event Maestro Performance Optimizer
 				if (t.onclick) {t.dispatchEvent(new MouseEvent("click", {bubbles: true, cancelable: true})); break;} // Onclick handler
 				if (!(t = t.parentElement)) break; // Move to parent or exit
 			}
-		}, {capture: true, passive: true});
+		}, true);
 	} else if (rhythm) { // Desktop environment detection
 		let used = false; // Gesture already used
-		document.addEventListener("mousedown", () => used = false, {capture: true}); // Reset on mouse down
-		document.addEventListener("keydown", e => !e.repeat && (e.key === "Enter" || e.key === " ") && (used = false), {capture: true}); // Reset on Enter/Space
-		document.addEventListener("click", e => {
+		listen("mousedown", () => used = false); // Reset on mouse down
+		listen("keydown", e => !e.repeat && (e.key === "Enter" || e.key === " ") && (used = false)); // Reset on Enter/Space
+		listen("click", e => {
 			if (used) return; // Skip if already used
 			used = true, rhythm.click(e.target.closest('label')?.control || e.target, e); // Process once, label to control redirect
-		}, {capture: true});
+		});
 	}
+	return () => { for (const step of off) step(); document.tempo = false; }; // Teardown, tempo() can run again
 }
 // tempo(); // Uncomment for standalone use